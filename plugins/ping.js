@@ -0,0 +1,13 @@
+// Plugin de exemplo: ative com PLUGINS=ping no .env. A API completa esta no README (secao Plugins).
+module.exports = {
+  register(bot) {
+    bot.registerCommand({
+      name: 'ping',
+      args: 'none',
+      description: 'verifica se o bot esta respondendo',
+      handler: async (context) => {
+        await context.replyText('🏓 pong');
+      }
+    });
+  }
+};
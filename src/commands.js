@@ -1,57 +1,480 @@
-function parseCommand(rawText) {
-  if (!rawText || typeof rawText !== 'string') {
-    return { type: 'none' };
+const config = require('./config');
+const { AUDIO_FORMATS, getVideoHeight, VIDEO_HEIGHTS } = require('./downloader');
+const { getLocaleAliases, LANGUAGES, t } = require('./i18n');
+const { parseTimeInput } = require('./utils');
+
+// Tipos de flag: "boolean" nao consome o proximo token; os demais exigem valor e chegam convertidos.
+const FLAG_TYPES = {
+  boolean: (value) => {
+    const normalized = value.toLowerCase();
+    if (['1', 'true', 'on', 'sim', 'si', 'yes'].includes(normalized)) {
+      return true;
+    }
+
+    return ['0', 'false', 'off', 'nao', 'não', 'no'].includes(normalized) ? false : null;
+  },
+  string: (value) => value,
+  lowercase: (value) => value.toLowerCase(),
+  time: (value) => parseTimeInput(value),
+  height: (value) => getVideoHeight(value)
+};
+
+// Descricao (e o usage que tem palavras, como o do --fx) vem do catalogo: flags.<nome>.description.
+const FLAGS = {
+  format: {
+    type: 'lowercase',
+    usage: `<${Object.keys(AUDIO_FORMATS).join('|')}>`,
+    example: '--format opus'
+  },
+  quality: {
+    type: 'height',
+    usage: `<${VIDEO_HEIGHTS.join('|')}>`,
+    example: '--quality 720'
+  },
+  fx: {
+    type: 'string',
+    example: '--fx slowed,reverb'
+  },
+  start: {
+    type: 'time',
+    usage: '<m:ss>',
+    example: '--start 1:05'
+  },
+  end: {
+    type: 'time',
+    usage: '<m:ss>',
+    example: '--end 1:45'
+  },
+  split: {
+    type: 'boolean',
+    usage: '',
+    example: '--split'
   }
+};
 
-  const text = rawText.trim();
-  if (!text.startsWith('/')) {
-    return { type: 'none' };
+const MEDIA_FLAGS = ['format', 'quality', 'fx', 'split', 'start', 'end'];
+
+// "/video believer 720": altura no fim do texto vira --quality; "/video blink 182" continua busca.
+function applyTrailingQuality(result) {
+  if (result.flags.quality !== undefined) {
+    return result;
+  }
+
+  const match = result.query.match(/^(.*\S)\s+(\d{3,4}p?)$/i);
+  const height = match ? getVideoHeight(match[2]) : null;
+  if (!height) {
+    return result;
+  }
+
+  return { ...result, query: match[1], flags: { ...result.flags, quality: height } };
+}
+
+// /karaoke e um /play com o efeito karaoke na frente de qualquer --fx informado.
+function applyKaraokeEffect(result) {
+  const { fx } = result.flags;
+  return { ...result, flags: { ...result.flags, fx: fx ? `karaoke,${fx}` : 'karaoke' } };
+}
+
+// Intervalo no fim do texto: "1:05-1:45", "1:05 - 1:45" ou "90-" (ate o fim do video).
+function applyClipRange(result) {
+  const match = result.query.match(/^(?:(.*?)\s+)?([\d:.]+)\s*-\s*([\d:.]*)$/);
+  const start = match ? parseTimeInput(match[2]) : null;
+  const end = match && match[3] ? parseTimeInput(match[3]) : null;
+
+  if (!match || start === null || (match[3] && end === null)) {
+    return result.flags.start === undefined && result.flags.end === undefined
+      ? { ...result, error: 'INVALID_RANGE' }
+      : result;
   }
 
-  const firstSpace = text.indexOf(' ');
-  const rawCommand = firstSpace === -1 ? text : text.slice(0, firstSpace);
-  const command = rawCommand.toLowerCase();
+  return {
+    ...result,
+    query: (match[1] || '').trim(),
+    flags: { ...result.flags, start, ...(end === null ? {} : { end }) }
+  };
+}
 
-  if (command === '/help') {
-    return { type: 'help' };
+// Ordem do registro e a ordem do /help. "args": none (sem argumento), value (texto simples,
+// minusculo), index (numero >= 1) ou query (termo de busca com flags). Uso e descricao dos nativos
+// vem do catalogo (commands.<nome>.usage/description); aqui ficam so os apelidos que valem em
+// qualquer idioma, os traduzidos estao em commandAliases de cada locale.
+const COMMANDS = [
+  {
+    name: 'play',
+    aliases: ['p'],
+    args: 'query',
+    flags: MEDIA_FLAGS
+  },
+  {
+    name: 'video',
+    aliases: ['v'],
+    args: 'query',
+    flags: MEDIA_FLAGS,
+    transform: applyTrailingQuality
+  },
+  {
+    name: 'voice',
+    aliases: [],
+    args: 'query',
+    flags: MEDIA_FLAGS
+  },
+  {
+    name: 'karaoke',
+    aliases: [],
+    args: 'query',
+    flags: MEDIA_FLAGS,
+    transform: applyKaraokeEffect
+  },
+  {
+    name: 'chapters',
+    aliases: [],
+    args: 'query',
+    flags: ['format', 'quality', 'fx', 'split']
+  },
+  {
+    name: 'clip',
+    aliases: [],
+    args: 'query',
+    flags: MEDIA_FLAGS,
+    transform: applyClipRange
+  },
+  {
+    name: 'format',
+    aliases: [],
+    args: 'value'
+  },
+  {
+    name: 'maxquality',
+    aliases: [],
+    args: 'value'
+  },
+  {
+    name: 'quiet',
+    aliases: [],
+    args: 'value'
+  },
+  {
+    name: 'lang',
+    aliases: [],
+    args: 'value'
+  },
+  {
+    name: 'queue',
+    aliases: [],
+    args: 'none'
+  },
+  {
+    name: 'remove',
+    aliases: [],
+    args: 'index'
+  },
+  {
+    name: 'cancel',
+    aliases: [],
+    args: 'none'
+  },
+  {
+    name: 'help',
+    aliases: [],
+    args: 'none'
   }
+];
+
+const COMMANDS_BY_NAME = new Map();
+COMMANDS.forEach((command) => {
+  [command.name, ...command.aliases].forEach((name) => COMMANDS_BY_NAME.set(name, command));
+});
+
+// Apelidos de todos os idiomas valem em qualquer chat: "/fila" funciona mesmo com /lang en.
+LANGUAGES.forEach((language) => {
+  Object.entries(getLocaleAliases(language)).forEach(([commandName, aliases]) => {
+    const command = COMMANDS_BY_NAME.get(commandName);
+    aliases.forEach((alias) => {
+      const current = COMMANDS_BY_NAME.get(alias);
+      if (current && current !== command) {
+        throw new Error(`Apelido "${alias}" (${language}) ja pertence ao comando "${current.name}".`);
+      }
+
+      COMMANDS_BY_NAME.set(alias, command);
+    });
+  });
+});
 
-  if (command === '/cancel') {
-    return { type: 'cancel' };
+// Valida sem registrar; "reserved" sao nomes prometidos que ainda nao estao no registro
+// (ex: outros comandos do mesmo plugin), para um lote ser aceito ou recusado por inteiro.
+function prepareCommand(definition, reserved = new Set()) {
+  const command = {
+    aliases: [],
+    args: 'value',
+    usage: '',
+    description: '',
+    ...definition
+  };
+  const names = [command.name, ...command.aliases].map((name) => String(name || '').toLowerCase());
+
+  const invalid = names.find((name) => !/^\p{L}[\p{L}\p{N}-]*$/u.test(name));
+  if (invalid !== undefined) {
+    throw new Error(`Nome de comando invalido: "${invalid}".`);
   }
 
-  if (command === '/play') {
-    const query = (firstSpace === -1 ? '' : text.slice(firstSpace + 1)).trim();
+  const taken = names.find((name, index) => {
+    return COMMANDS_BY_NAME.has(name) || reserved.has(name) || names.indexOf(name) !== index;
+  });
+  if (taken) {
+    throw new Error(`Comando "${taken}" ja existe.`);
+  }
 
-    if (!query) {
-      return { type: 'play', error: 'EMPTY_QUERY' };
+  const unknownFlag = (command.flags || []).find((flag) => !FLAGS[flag]);
+  if (unknownFlag) {
+    throw new Error(`Flag desconhecida: --${unknownFlag}.`);
+  }
+
+  const [name, ...aliases] = names;
+  return { ...command, name, aliases };
+}
+
+// Comandos de plugins entram no fim do registro, depois dos nativos, e aparecem no /help.
+function registerCommand(definition) {
+  const registered = prepareCommand(definition);
+
+  COMMANDS.push(registered);
+  [registered.name, ...registered.aliases].forEach((commandName) => COMMANDS_BY_NAME.set(commandName, registered));
+  return registered;
+}
+
+// Prefixos mais longos primeiro: com "!" e "!!" configurados, "!!play" nao vira o comando "!play".
+const COMMAND_PREFIXES = [...config.commandPrefixes].sort((a, b) => b.length - a.length);
+
+function getPrimaryPrefix() {
+  return config.commandPrefixes[0];
+}
+
+function formatCommand(text) {
+  return `${getPrimaryPrefix()}${text}`;
+}
+
+// Aspas retas ou tipograficas (teclado do celular) agrupam valores com espaco: --fx "slowed, reverb".
+// Apostrofo fica de fora para nao quebrar buscas como "don't stop me now".
+function tokenize(rawArgs) {
+  const tokens = [];
+  const pattern = /(\S*?)(?:"([^"]*)"|“([^”]*)”)|(\S+)/g;
+  let match = pattern.exec(rawArgs);
+
+  while (match) {
+    if (match[4] !== undefined) {
+      tokens.push({ text: match[4], quoted: false });
+    } else {
+      // Token inteiro entre aspas e sempre valor; "--fx="a, b"" continua sendo flag.
+      tokens.push({ text: `${match[1]}${match[2] ?? match[3]}`, quoted: match[1] === '' });
     }
 
-    return {
-      type: 'play',
-      query
-    };
+    match = pattern.exec(rawArgs);
   }
 
-  if (command === '/video') {
-    const query = (firstSpace === -1 ? '' : text.slice(firstSpace + 1)).trim();
+  return tokens;
+}
+
+function extractFlags(rawArgs, allowedFlags) {
+  const tokens = tokenize(rawArgs);
+  const flags = {};
+  const rest = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    const match = token.quoted ? null : token.text.match(/^--([a-z][a-z-]*)(?:=(.*))?$/i);
+    if (!match) {
+      rest.push(token.text);
+      continue;
+    }
+
+    const name = match[1].toLowerCase();
+    const definition = FLAGS[name];
+    if (!definition || !allowedFlags.includes(name)) {
+      return { error: 'UNKNOWN_FLAG', flag: name };
+    }
+
+    let rawValue = match[2];
+    if (rawValue === undefined) {
+      const next = tokens[index + 1];
+      // Flags booleanas so recebem valor com "=": "--split numb" nao engole o termo de busca.
+      if (definition.type !== 'boolean' && next && (next.quoted || !next.text.startsWith('--'))) {
+        rawValue = next.text;
+        index += 1;
+      }
+    }
+
+    rawValue = rawValue === undefined ? undefined : rawValue.trim();
 
-    if (!query) {
-      return { type: 'video', error: 'EMPTY_QUERY' };
+    if (rawValue === undefined || rawValue === '') {
+      if (definition.type !== 'boolean') {
+        return { error: 'MISSING_FLAG_VALUE', flag: name };
+      }
+
+      flags[name] = true;
+      continue;
     }
 
+    const value = FLAG_TYPES[definition.type](rawValue);
+    if (value === null) {
+      return { error: 'INVALID_FLAG', flag: name, value: rawValue };
+    }
+
+    flags[name] = value;
+  }
+
+  return {
+    query: rest.join(' '),
+    flags
+  };
+}
+
+function parseArgs(command, rawArgs) {
+  if (command.args === 'none') {
+    return {};
+  }
+
+  if (command.args === 'value') {
+    return { value: rawArgs.toLowerCase() };
+  }
+
+  if (command.args === 'index') {
+    if (!/^\d+$/.test(rawArgs) || Number(rawArgs) < 1) {
+      return { error: 'INVALID_INDEX' };
+    }
+
+    return { index: Number(rawArgs) };
+  }
+
+  const extracted = extractFlags(rawArgs, command.flags || []);
+  if (extracted.error) {
+    return { ...extracted, flags: {} };
+  }
+
+  const result = command.transform ? command.transform(extracted) : extracted;
+  if (result.error) {
+    return result;
+  }
+
+  return result.query ? result : { ...result, error: 'EMPTY_QUERY' };
+}
+
+function matchPrefix(text) {
+  return COMMAND_PREFIXES.find((prefix) => text.startsWith(prefix) && /^\p{L}/u.test(text.slice(prefix.length))) || null;
+}
+
+function isCommandText(rawText) {
+  return typeof rawText === 'string' && Boolean(matchPrefix(rawText.trim()));
+}
+
+function parseCommand(rawText) {
+  if (!rawText || typeof rawText !== 'string') {
+    return { type: 'none' };
+  }
+
+  const text = rawText.trim();
+  const prefix = matchPrefix(text);
+  if (!prefix) {
+    return { type: 'none' };
+  }
+
+  const body = text.slice(prefix.length);
+  const firstSpace = body.search(/\s/);
+  const name = (firstSpace === -1 ? body : body.slice(0, firstSpace)).toLowerCase();
+  const rawArgs = firstSpace === -1 ? '' : body.slice(firstSpace + 1).trim();
+  const command = COMMANDS_BY_NAME.get(name);
+
+  if (!command) {
     return {
-      type: 'video',
-      query
+      type: 'unknown',
+      command: `${prefix}${name}`
     };
   }
 
   return {
-    type: 'unknown',
-    command
+    type: command.name,
+    ...parseArgs(command, rawArgs)
   };
 }
 
+function getCommand(name) {
+  return COMMANDS_BY_NAME.get(name) || null;
+}
+
+function getFlagText(name, field, language) {
+  return FLAGS[name][field] ?? t(language, `flags.${name}.${field}`);
+}
+
+function getFlagDescription(name, language) {
+  return getFlagText(name, 'description', language);
+}
+
+function formatFlagUsage(name, language) {
+  const usage = getFlagText(name, 'usage', language);
+  return usage ? `--${name} ${usage}` : `--${name}`;
+}
+
+// Comandos de plugin trazem uso/descricao literais; os nativos usam o catalogo do idioma.
+function getCommandText(command, field, language) {
+  if (command[field] !== undefined) {
+    return command[field];
+  }
+
+  return t(language, `commands.${command.name}.${field}`, {
+    formats: Object.keys(AUDIO_FORMATS).join('|'),
+    languages: LANGUAGES.join('|')
+  });
+}
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+// Dados do /help no idioma do chat; apelidos universais vem antes dos traduzidos e variantes
+// que so diferem no acento ("musica"/"música") aparecem uma vez.
+function describeCommand(name, language) {
+  const command = getCommand(name);
+  const localized = getLocaleAliases(language)[command.name] || [];
+  const aliases = new Map();
+
+  [...command.aliases, ...localized].forEach((alias) => {
+    if (!aliases.has(stripAccents(alias))) {
+      aliases.set(stripAccents(alias), alias);
+    }
+  });
+
+  return {
+    name: command.name,
+    usage: getCommandText(command, 'usage', language),
+    description: getCommandText(command, 'description', language),
+    aliases: [...aliases.values()]
+  };
+}
+
+// Linha de uso gerada do registro: "/play <nome|url> [--format <mp3|...>] [--split] ...".
+function getCommandUsage(name, language) {
+  const command = getCommand(name);
+  const parts = [formatCommand(command.name)];
+  const usage = getCommandText(command, 'usage', language);
+
+  if (usage) {
+    parts.push(usage);
+  }
+
+  (command.flags || []).forEach((flag) => parts.push(`[${formatFlagUsage(flag, language)}]`));
+  return parts.join(' ');
+}
+
 module.exports = {
-  parseCommand
+  COMMANDS,
+  describeCommand,
+  FLAGS,
+  formatCommand,
+  formatFlagUsage,
+  getCommand,
+  getCommandUsage,
+  getFlagDescription,
+  isCommandText,
+  parseCommand,
+  prepareCommand,
+  registerCommand
 };
@@ -22,6 +22,44 @@ function toPositiveNumber(value, fallback) {
   return parsed;
 }
 
+function toNonNegativeNumber(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return fallback;
+  }
+
+  return parsed;
+}
+
+function toBoolean(value, fallback) {
+  const normalized = String(value ?? '').trim().toLowerCase();
+
+  if (['1', 'true', 'yes', 'on', 'sim'].includes(normalized)) {
+    return true;
+  }
+
+  if (['0', 'false', 'no', 'off', 'nao'].includes(normalized)) {
+    return false;
+  }
+
+  return fallback;
+}
+
+function toList(value) {
+  return String(value ?? '').split(/[\s,]+/).filter(Boolean);
+}
+
+// "/,!,." ou "/ ! .": qualquer sequencia sem letras, numeros ou espaco vale como prefixo.
+function toPrefixList(value, fallback) {
+  const prefixes = toList(value).filter((prefix) => !/[\p{L}\p{N}]/u.test(prefix));
+
+  return prefixes.length > 0 ? [...new Set(prefixes)] : fallback;
+}
+
 function toRangeNumber(value, fallback, min, max) {
   const parsed = Number(value);
   if (!Number.isFinite(parsed)) {
@@ -44,14 +82,32 @@ module.exports = {
   downloadPath: toAbsolutePath(process.env.DOWNLOAD_PATH, path.join(projectRoot, 'downloads')),
   maxAudioDuration: toPositiveNumber(process.env.MAX_AUDIO_DURATION, legacyMaxDuration || 1800),
   maxVideoDuration: toPositiveNumber(process.env.MAX_VIDEO_DURATION, 7200),
+  maxVoiceDuration: toPositiveNumber(process.env.MAX_VOICE_DURATION, 900),
   sessionPath: toAbsolutePath(process.env.SESSION_PATH, path.join(projectRoot, 'session')),
+  statePath: toAbsolutePath(process.env.STATE_PATH, path.join(projectRoot, 'state')),
+  pluginsPath: toAbsolutePath(process.env.PLUGINS_PATH, path.join(projectRoot, 'plugins')),
+  plugins: toList(process.env.PLUGINS),
+  mediaCachePath: toAbsolutePath(process.env.MEDIA_CACHE_PATH, path.join(projectRoot, 'cache')),
+  mediaReuseTtlHours: toNonNegativeNumber(process.env.MEDIA_REUSE_TTL_HOURS, 168),
+  mediaCacheMaxSize: toNonNegativeNumber(process.env.MEDIA_CACHE_MAX_SIZE, 2 * 1024 * 1024 * 1024),
   maxAudioFileSize: toPositiveNumber(process.env.MAX_AUDIO_FILE_SIZE, legacyMaxFileSize),
   maxVideoFileSize: toPositiveNumber(
     process.env.MAX_VIDEO_FILE_SIZE,
     Math.max(legacyMaxFileSize, defaultMaxFileSizeBytes)
   ),
+  splitOversizedMedia: toBoolean(process.env.SPLIT_OVERSIZED_MEDIA, false),
+  splitPartMaxSize: toPositiveNumber(process.env.SPLIT_PART_MAX_SIZE, 95 * 1024 * 1024),
   maxSearchOptions: toPositiveNumber(process.env.MAX_SEARCH_OPTIONS, 8),
   maxPlaylistItems: toPositiveNumber(process.env.MAX_PLAYLIST_ITEMS, 10),
+  maxResultPages: toRangeNumber(process.env.MAX_RESULT_PAGES, 5, 1, 20),
+  queueMaxWorkers: toRangeNumber(process.env.QUEUE_MAX_WORKERS, 2, 1, 16),
+  queueMaxAudioWorkers: toRangeNumber(process.env.QUEUE_MAX_AUDIO_WORKERS, 2, 1, 16),
+  queueMaxVideoWorkers: toRangeNumber(process.env.QUEUE_MAX_VIDEO_WORKERS, 1, 1, 16),
+  progressUpdateIntervalSeconds: toPositiveNumber(process.env.PROGRESS_UPDATE_INTERVAL_SECONDS, 5),
+  commandPrefixes: toPrefixList(process.env.COMMAND_PREFIXES, ['/']),
+  quietModeDefault: toBoolean(process.env.QUIET_MODE_DEFAULT, false),
+  defaultLanguage: String(process.env.DEFAULT_LANGUAGE || 'pt-BR').trim(),
+  interactiveMenus: toBoolean(process.env.INTERACTIVE_MENUS, false),
   selectionTimeoutSeconds: toPositiveNumber(process.env.SELECTION_TIMEOUT_SECONDS, 120),
   ytDlpCookiesFile: toAbsolutePath(process.env.YTDLP_COOKIES_FILE, null),
   ytDlpCookiesFromBrowser: String(process.env.YTDLP_COOKIES_FROM_BROWSER || '').trim(),
@@ -62,8 +118,18 @@ module.exports = {
   audioBitrateKbps: toRangeNumber(process.env.AUDIO_BITRATE_KBPS, 160, 32, 320),
   audioChannels: toRangeNumber(process.env.AUDIO_CHANNELS, 2, 1, 2),
   audioSampleRate: toRangeNumber(process.env.AUDIO_SAMPLE_RATE, 44100, 8000, 48000),
+  audioFormat: String(process.env.AUDIO_FORMAT || 'mp3').trim().toLowerCase(),
+  audioEmbedMetadata: toBoolean(process.env.AUDIO_EMBED_METADATA, true),
+  audioSendAsDocument: toBoolean(process.env.AUDIO_SEND_AS_DOCUMENT, false),
+  audioNormalize: toBoolean(process.env.AUDIO_NORMALIZE, true),
+  audioLoudnessTarget: toRangeNumber(process.env.AUDIO_LOUDNESS_TARGET, -14, -30, -5),
+  voiceBitrateKbps: toRangeNumber(process.env.VOICE_BITRATE_KBPS, 48, 16, 128),
+  previewDurationSeconds: toRangeNumber(process.env.PREVIEW_DURATION_SECONDS, 20, 5, 60),
+  previewBitrateKbps: toRangeNumber(process.env.PREVIEW_BITRATE_KBPS, 24, 16, 64),
   ytDlpConcurrentFragments: toPositiveNumber(process.env.YTDLP_CONCURRENT_FRAGMENTS, 6),
-  videoMaxHeight: toRangeNumber(process.env.VIDEO_MAX_HEIGHT, 480, 240, 720),
+  videoMaxHeight: toRangeNumber(process.env.VIDEO_MAX_HEIGHT, 480, 240, 1080),
+  videoQualityMaxHeight: toRangeNumber(process.env.VIDEO_QUALITY_MAX_HEIGHT, 720, 240, 1080),
+  videoEncodingMode: String(process.env.VIDEO_ENCODING_MODE || '').trim().toLowerCase() === 'target' ? 'target' : 'crf',
   videoCrf: toRangeNumber(process.env.VIDEO_CRF, 30, 18, 40),
   videoAudioBitrateKbps: toRangeNumber(process.env.VIDEO_AUDIO_BITRATE_KBPS, 64, 32, 192)
 };
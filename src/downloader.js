@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { spawn, spawnSync } = require('child_process');
 const {
@@ -8,6 +9,122 @@ const {
   sanitizeFilename
 } = require('./utils');
 
+const YTDLP_PROGRESS_PREFIX = '[progress]';
+const YTDLP_PROGRESS_TEMPLATE = [
+  `download:${YTDLP_PROGRESS_PREFIX}`,
+  '%(progress.downloaded_bytes)s',
+  '%(progress.total_bytes)s',
+  '%(progress.total_bytes_estimate)s',
+  '%(progress.speed)s',
+  '%(progress.eta)s'
+].join(' ');
+
+// ytDlpFormat e o valor de --audio-format; capa embutida so onde o yt-dlp usa ffmpeg (sem mutagen).
+// ffmpegCodec forca recodificacao quando ha filtros de audio.
+const AUDIO_FORMATS = {
+  mp3: {
+    ytDlpFormat: 'mp3',
+    ffmpegCodec: 'libmp3lame',
+    extension: 'mp3',
+    mimetype: 'audio/mpeg',
+    label: 'MP3',
+    lossless: false,
+    embedThumbnail: true
+  },
+  opus: {
+    ytDlpFormat: 'opus',
+    ffmpegCodec: 'libopus',
+    extension: 'opus',
+    mimetype: 'audio/ogg; codecs=opus',
+    label: 'Opus',
+    lossless: false,
+    embedThumbnail: false,
+    // libopus nao aceita 44100 Hz.
+    sampleRate: 48000
+  },
+  m4a: {
+    ytDlpFormat: 'm4a',
+    ffmpegCodec: 'aac',
+    extension: 'm4a',
+    mimetype: 'audio/mp4',
+    label: 'M4A',
+    lossless: false,
+    embedThumbnail: true
+  },
+  flac: {
+    ytDlpFormat: 'flac',
+    ffmpegCodec: 'flac',
+    extension: 'flac',
+    mimetype: 'audio/flac',
+    label: 'FLAC',
+    lossless: true,
+    embedThumbnail: false
+  },
+  ogg: {
+    ytDlpFormat: 'vorbis',
+    ffmpegCodec: 'libvorbis',
+    extension: 'ogg',
+    mimetype: 'audio/ogg',
+    label: 'OGG',
+    lossless: false,
+    embedThumbnail: false
+  }
+};
+const DEFAULT_AUDIO_FORMAT = 'mp3';
+const VOICE_NOTE_FORMAT = 'opus';
+// O WhatsApp desenha a forma de onda da nota de voz com 64 barras de 0 a 100.
+const VOICE_WAVEFORM_BARS = 64;
+const VOICE_WAVEFORM_SAMPLE_RATE = 8000;
+// Copia sem recodificar corta em keyframes, entao as partes saem um pouco desiguais; sobra margem.
+const SPLIT_SAFETY_RATIO = 0.9;
+const SPLIT_MAX_ATTEMPTS = 3;
+// Efeitos de tom/velocidade reamostram para uma taxa conhecida; o -ar final define a taxa de saida.
+const AUDIO_EFFECT_SAMPLE_RATE = 48000;
+// Karaoke: L-R cancela o que esta no centro (voz), mas leva junto grave e brilho, que tambem costumam
+// estar no centro; o centro volta so abaixo de 150 Hz (bumbo, baixo) e acima de 8 kHz (pratos).
+// L-R vai com a mesma fase nos dois canais: em fase oposta, a mixagem mono (nota de voz,
+// AUDIO_CHANNELS=1, alto-falante do celular) cancelaria o proprio L-R.
+const KARAOKE_FILTER_GRAPH = [
+  'asplit=2[ksrc][kctr]',
+  '[ksrc]pan=stereo|c0=c0-c1|c1=c0-c1[kside]',
+  '[kctr]pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0+0.5*c1,asplit=2[klow][khigh]',
+  '[klow]lowpass=f=150,lowpass=f=150[kbass]',
+  '[khigh]highpass=f=8000,volume=0.5[kair]',
+  '[kside][kbass][kair]amix=inputs=3:normalize=0'
+].join(';');
+// "rate" muda velocidade e tom juntos, como acelerar um disco.
+const AUDIO_EFFECTS = {
+  karaoke: { label: 'Karaoke', filters: [KARAOKE_FILTER_GRAPH] },
+  nightcore: { label: 'Nightcore', rate: 1.25 },
+  slowed: { label: 'Slowed', rate: 0.85 },
+  reverb: { label: 'Reverb', filters: ['aecho=0.8:0.88:60|120:0.35|0.25'] },
+  bassboost: { label: 'Bass Boost', filters: ['bass=g=8:f=110:w=0.6', 'alimiter=limit=0.9'] }
+};
+const AUDIO_EFFECT_ALIASES = {
+  instrumental: 'karaoke',
+  bass: 'bassboost',
+  slow: 'slowed',
+  velocidade: 'speed',
+  tom: 'pitch'
+};
+const AUDIO_NORMALIZE_TOKENS = ['normalize', 'norm', 'loudnorm'];
+const AUDIO_RAW_TOKENS = ['off', 'none', 'raw'];
+// Alturas oferecidas por pedido; o que vier do YouTube fora desses degraus e arredondado para baixo.
+const VIDEO_HEIGHTS = [240, 360, 480, 720, 1080];
+const MAX_VIDEO_HEIGHT = VIDEO_HEIGHTS[VIDEO_HEIGHTS.length - 1];
+// Degraus de resolucao do modo por tamanho-alvo: usa o maior que ainda recebe bitrate minimo decente.
+const VIDEO_BITRATE_LADDER = [
+  { height: 1080, minKbps: 2500, maxKbps: 4500 },
+  { height: 720, minKbps: 1200, maxKbps: 2500 },
+  { height: 480, minKbps: 600, maxKbps: 1400 },
+  { height: 360, minKbps: 300, maxKbps: 800 },
+  { height: 240, minKbps: 0, maxKbps: 450 }
+];
+const MIN_TARGET_VIDEO_KBPS = 60;
+// Margem para o overhead do MP4 e a variacao do controle de bitrate do x264.
+const TARGET_SIZE_SAFETY_RATIO = 0.96;
+const TARGET_SIZE_MAX_ATTEMPTS = 2;
+
 class DownloadError extends Error {
   constructor(code, message, details = {}) {
     super(message);
@@ -107,24 +224,131 @@ function detectFfmpegLocation() {
   return null;
 }
 
-function runYtDlp(args) {
+function createCancelledError() {
+  return new DownloadError('CANCELLED', 'Download cancelado pelo usuario.');
+}
+
+function assertNotAborted(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+function createLineReader(onLine) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split(/\r?\n|\r/);
+    buffer = lines.pop();
+
+    lines.forEach((line) => {
+      if (line.trim()) {
+        onLine(line.trim());
+      }
+    });
+  };
+}
+
+function toOptionalNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseYtDlpProgressLine(line) {
+  if (!line.startsWith(YTDLP_PROGRESS_PREFIX)) {
+    return null;
+  }
+
+  const [downloaded, total, totalEstimate, speed, eta] = line
+    .slice(YTDLP_PROGRESS_PREFIX.length)
+    .trim()
+    .split(/\s+/)
+    .map(toOptionalNumber);
+  const totalBytes = total || totalEstimate;
+
+  return {
+    stage: 'download',
+    percent: totalBytes && downloaded !== null ? clampNumber((downloaded / totalBytes) * 100, 0, 100) : null,
+    downloadedBytes: downloaded,
+    totalBytes,
+    speedBytesPerSecond: speed,
+    etaSeconds: eta
+  };
+}
+
+function parseFfmpegTimestamp(value) {
+  const match = String(value || '').match(/^(\d+):(\d+):(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+function runYtDlp(args, runOptions = {}) {
+  const { signal, onProgress, onStageChange, onOutputLine } = runOptions;
   const envPath = buildProcessPath();
   const ytDlpBinary = process.env.YTDLP_BINARY || (process.platform === 'win32' ? 'yt-dlp.exe' : 'yt-dlp');
 
   return new Promise((resolve, reject) => {
+    // O yt-dlp abre o proprio ffmpeg; em grupo de processos separado o cancelamento encerra os dois.
+    const useProcessGroup = process.platform !== 'win32';
     const child = spawn(ytDlpBinary, args, {
       env: {
         ...process.env,
         PATH: envPath
-      }
+      },
+      detached: useProcessGroup
     });
     let stderr = '';
+    let cancelled = false;
+
+    const handleAbort = () => {
+      cancelled = true;
+      killProcessTree(child, useProcessGroup);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        handleAbort();
+      } else {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
+    }
+
+    child.stdout.on('data', createLineReader((line) => {
+      const progress = parseYtDlpProgressLine(line);
+      if (progress) {
+        if (onProgress) {
+          onProgress(progress);
+        }
+        return;
+      }
+
+      // Pos-processamento do yt-dlp (ex: extracao de MP3) equivale a etapa de conversao.
+      if (line.startsWith('[ExtractAudio]') && onStageChange) {
+        onStageChange('converting');
+        return;
+      }
+
+      if (onOutputLine) {
+        onOutputLine(line);
+      }
+    }));
 
     child.stderr.on('data', (chunk) => {
       stderr += chunk.toString();
     });
 
     child.on('error', (error) => {
+      signal?.removeEventListener('abort', handleAbort);
+
+      if (cancelled) {
+        reject(createCancelledError());
+        return;
+      }
+
       if (error.code === 'ENOENT') {
         reject(new DownloadError('YTDLP_NOT_FOUND', 'yt-dlp nao encontrado no sistema.'));
         return;
@@ -133,12 +357,39 @@ function runYtDlp(args) {
       reject(new DownloadError('YTDLP_ERROR', 'Falha ao iniciar o yt-dlp.', { originalError: error }));
     });
 
+    // So resolve depois que o processo saiu, para a limpeza dos arquivos parciais nao concorrer com ele.
     child.on('close', (code) => {
+      signal?.removeEventListener('abort', handleAbort);
+
+      if (cancelled) {
+        reject(createCancelledError());
+        return;
+      }
+
       resolve({ code, stderr });
     });
   });
 }
 
+function killProcessTree(child, useProcessGroup) {
+  if (!child.pid) {
+    return;
+  }
+
+  try {
+    if (useProcessGroup) {
+      process.kill(-child.pid, 'SIGTERM');
+    } else {
+      child.kill('SIGTERM');
+    }
+  } catch (error) {
+    // ESRCH: o grupo ja terminou entre o abort e o kill.
+    if (error.code !== 'ESRCH') {
+      child.kill('SIGTERM');
+    }
+  }
+}
+
 function buildYtDlpAuthArgs(options = {}) {
   const {
     ytDlpCookiesFile,
@@ -204,12 +455,43 @@ function isYtDlpFormatUnavailableError(stderr) {
   return output.includes('requested format is not available');
 }
 
+function buildYtDlpError(code, stderr) {
+  if (isYtDlpAuthError(stderr)) {
+    return new DownloadError(
+      'YTDLP_AUTH_REQUIRED',
+      'YouTube exigiu autenticacao (cookies) para continuar.',
+      { code, stderr }
+    );
+  }
+
+  if (isYtDlpChallengeError(stderr)) {
+    return new DownloadError(
+      'YTDLP_CHALLENGE_FAILED',
+      'Falha ao resolver challenge do YouTube (runtime JS/EJS).',
+      { code, stderr }
+    );
+  }
+
+  if (isYtDlpFormatUnavailableError(stderr)) {
+    return new DownloadError(
+      'YTDLP_FORMAT_UNAVAILABLE',
+      'Formato solicitado nao disponivel para este video.',
+      { code, stderr }
+    );
+  }
+
+  return new DownloadError('YTDLP_ERROR', 'yt-dlp retornou erro durante o download.', {
+    code,
+    stderr
+  });
+}
+
 function clampNumber(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
 function buildVideoCompressionProfile(durationSeconds, options = {}) {
-  const baseHeight = clampNumber(Number(options.videoMaxHeight) || 480, 240, 720);
+  const baseHeight = clampNumber(Number(options.videoMaxHeight) || 480, 240, MAX_VIDEO_HEIGHT);
   const baseCrf = clampNumber(Number(options.videoCrf) || 30, 18, 40);
   const baseAudioBitrate = clampNumber(Number(options.videoAudioBitrateKbps) || 64, 32, 192);
   const duration = Math.max(0, Number(durationSeconds) || 0);
@@ -260,31 +542,203 @@ function buildFallbackVideoCompressionProfile(profile) {
   return changed ? fallback : null;
 }
 
-function runFfmpeg(inputPath, outputPath, ffmpegLocation, profile = {}) {
-  const envPath = buildProcessPath();
-  const ffmpegBinaryName = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
-  const ffmpegBinary = ffmpegLocation ? path.join(ffmpegLocation, ffmpegBinaryName) : ffmpegBinaryName;
-  const maxHeight = clampNumber(Number(profile.maxHeight) || 480, 240, 720);
-  const crf = clampNumber(Number(profile.crf) || 30, 18, 40);
-  const audioBitrateKbps = clampNumber(Number(profile.audioBitrateKbps) || 64, 32, 192);
+function getFfmpegBinary(ffmpegLocation, binaryName = 'ffmpeg') {
+  const ffmpegBinaryName = process.platform === 'win32' ? `${binaryName}.exe` : binaryName;
+  return ffmpegLocation ? path.join(ffmpegLocation, ffmpegBinaryName) : ffmpegBinaryName;
+}
+
+function probeMediaFile(filePath, ffmpegLocation) {
   const args = [
-    '-y',
-    '-i',
-    inputPath,
+    '-v',
+    'error',
+    '-show_entries',
+    'format=duration,size,bit_rate:stream=codec_type,codec_name,width,height,bit_rate',
+    '-of',
+    'json',
+    filePath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(getFfmpegBinary(ffmpegLocation, 'ffprobe'), args, {
+      env: {
+        ...process.env,
+        PATH: buildProcessPath()
+      }
+    });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        reject(new DownloadError('FFMPEG_NOT_FOUND', 'ffprobe nao encontrado no sistema.'));
+        return;
+      }
+
+      reject(new DownloadError('FFMPEG_ERROR', 'Falha ao iniciar o ffprobe.', { originalError: error }));
+    });
+
+    child.on('close', (code) => {
+      let parsed = null;
+
+      try {
+        parsed = JSON.parse(stdout);
+      } catch {
+        parsed = null;
+      }
+
+      if (code !== 0 || !parsed?.format) {
+        reject(new DownloadError('FFMPEG_ERROR', 'Falha ao inspecionar o arquivo final.', { code, stderr }));
+        return;
+      }
+
+      const streams = parsed.streams || [];
+      const videoStream = streams.find((stream) => stream.codec_type === 'video') || null;
+      const audioStream = streams.find((stream) => stream.codec_type === 'audio') || null;
+
+      resolve({
+        durationSeconds: toOptionalNumber(parsed.format.duration),
+        size: toOptionalNumber(parsed.format.size),
+        bitRate: toOptionalNumber(parsed.format.bit_rate),
+        video: videoStream
+          ? {
+            codec: videoStream.codec_name,
+            width: toOptionalNumber(videoStream.width),
+            height: toOptionalNumber(videoStream.height),
+            bitRate: toOptionalNumber(videoStream.bit_rate)
+          }
+          : null,
+        audio: audioStream
+          ? {
+            codec: audioStream.codec_name,
+            bitRate: toOptionalNumber(audioStream.bit_rate)
+          }
+          : null
+      });
+    });
+  });
+}
+
+function spawnFfmpeg(args, ffmpegLocation, runOptions = {}) {
+  const {
+    signal,
+    onProgress,
+    durationSeconds,
+    failureMessage = 'Falha na conversao de video para formato compativel.'
+  } = runOptions;
+
+  return new Promise((resolve, reject) => {
+    // -progress e -nostats sao opcoes globais: vao antes de qualquer entrada/saida.
+    const child = spawn(getFfmpegBinary(ffmpegLocation), ['-progress', 'pipe:1', '-nostats', ...args], {
+      env: {
+        ...process.env,
+        PATH: buildProcessPath()
+      },
+      signal
+    });
+    let stderr = '';
+    let progressBlock = {};
+
+    // Saida do -progress vem em blocos chave=valor encerrados por "progress=continue|end".
+    child.stdout.on('data', createLineReader((line) => {
+      const separatorIndex = line.indexOf('=');
+      if (separatorIndex === -1) {
+        return;
+      }
+
+      const key = line.slice(0, separatorIndex);
+      const value = line.slice(separatorIndex + 1);
+
+      if (key !== 'progress') {
+        progressBlock[key] = value;
+        return;
+      }
+
+      const encodedSeconds = parseFfmpegTimestamp(progressBlock.out_time);
+      const speedFactor = toOptionalNumber(String(progressBlock.speed || '').replace('x', ''));
+      const totalSeconds = Number(durationSeconds) || 0;
+      progressBlock = {};
+
+      if (!onProgress) {
+        return;
+      }
+
+      onProgress({
+        stage: 'convert',
+        percent: totalSeconds > 0 && encodedSeconds !== null
+          ? clampNumber((encodedSeconds / totalSeconds) * 100, 0, 100)
+          : null,
+        encodedSeconds,
+        totalSeconds,
+        speedFactor,
+        etaSeconds: totalSeconds > 0 && encodedSeconds !== null && speedFactor
+          ? Math.max(0, (totalSeconds - encodedSeconds) / speedFactor)
+          : null
+      });
+    }));
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        reject(createCancelledError());
+        return;
+      }
+
+      if (error.code === 'ENOENT') {
+        reject(new DownloadError('FFMPEG_NOT_FOUND', 'ffmpeg nao encontrado no sistema.'));
+        return;
+      }
+
+      reject(new DownloadError('FFMPEG_ERROR', 'Falha ao iniciar o ffmpeg.', {
+        originalError: error
+      }));
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new DownloadError('FFMPEG_ERROR', failureMessage, {
+          code,
+          stderr
+        }));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+function buildH264VideoArgs(maxHeight, rateControlArgs) {
+  return [
     '-vf',
     `scale=-2:${maxHeight}:force_original_aspect_ratio=decrease,format=yuv420p`,
     '-c:v',
     'libx264',
     '-preset',
     'veryfast',
-    '-crf',
-    String(crf),
+    ...rateControlArgs,
     '-profile:v',
     'main',
+    // 3.1 cobre ate 720p; 1080p precisa do nivel 4.0.
     '-level',
-    '3.1',
+    maxHeight > 720 ? '4.0' : '3.1',
     '-pix_fmt',
-    'yuv420p',
+    'yuv420p'
+  ];
+}
+
+function buildAacAudioArgs(audioBitrateKbps) {
+  return [
     '-movflags',
     '+faststart',
     '-c:a',
@@ -294,44 +748,537 @@ function runFfmpeg(inputPath, outputPath, ffmpegLocation, profile = {}) {
     '-ar',
     '44100',
     '-ac',
-    '2',
+    '2'
+  ];
+}
+
+function runFfmpeg(inputPath, outputPath, ffmpegLocation, profile = {}, runOptions = {}) {
+  const maxHeight = clampNumber(Number(profile.maxHeight) || 480, 240, MAX_VIDEO_HEIGHT);
+  const crf = clampNumber(Number(profile.crf) || 30, 18, 40);
+  const audioBitrateKbps = clampNumber(Number(profile.audioBitrateKbps) || 64, 32, 192);
+  const args = [
+    '-y',
+    '-i',
+    inputPath,
+    ...buildH264VideoArgs(maxHeight, ['-crf', String(crf)]),
+    ...buildAacAudioArgs(audioBitrateKbps),
     outputPath
   ];
 
+  return spawnFfmpeg(args, ffmpegLocation, runOptions);
+}
+
+function normalizeAudioEffect(token) {
+  const [rawName, rawValue] = token.split('=');
+  const name = AUDIO_EFFECT_ALIASES[rawName] || rawName;
+  const value = Number(rawValue);
+
+  if (name === 'speed') {
+    return rawValue && value >= 0.5 && value <= 2 && value !== 1 ? `speed=${value}` : null;
+  }
+
+  if (name === 'pitch') {
+    // Semitons; "+2" e "2" viram o mesmo efeito (e a mesma chave de cache).
+    return rawValue && value >= -12 && value <= 12 && value !== 0 ? `pitch=${value > 0 ? '+' : ''}${value}` : null;
+  }
+
+  return AUDIO_EFFECTS[name] && rawValue === undefined ? name : null;
+}
+
+// "normalize,nightcore" ou "slowed+reverb"; "off" desliga a normalizacao padrao. Retorna null se algo for invalido.
+function parseAudioEffects(value) {
+  // "+" logo depois de "=" e sinal do valor ("pitch=+2"), nao separador.
+  const tokens = String(value || '').toLowerCase().split(/,|(?<!=)\+/).map((token) => token.trim()).filter(Boolean);
+  const effects = [];
+  let normalize = null;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  for (const token of tokens) {
+    if (AUDIO_NORMALIZE_TOKENS.includes(token) || AUDIO_RAW_TOKENS.includes(token)) {
+      normalize = AUDIO_NORMALIZE_TOKENS.includes(token);
+      continue;
+    }
+
+    const effect = normalizeAudioEffect(token);
+    if (!effect) {
+      return null;
+    }
+
+    if (!effects.includes(effect)) {
+      effects.push(effect);
+    }
+  }
+
+  return { effects, normalize };
+}
+
+function splitAudioEffect(effect) {
+  const [name, rawValue] = effect.split('=');
+  return { name, value: Number(rawValue) };
+}
+
+function getAudioEffectsLabel(effects = []) {
+  return effects
+    .map((effect) => {
+      const { name, value } = splitAudioEffect(effect);
+      if (name === 'speed') {
+        return `Speed ${value}x`;
+      }
+
+      if (name === 'pitch') {
+        return `Pitch ${value > 0 ? '+' : ''}${value}`;
+      }
+
+      return AUDIO_EFFECTS[name]?.label || name;
+    })
+    .join(' + ');
+}
+
+// Quanto o audio final fica mais rapido que o original; pitch compensa o tempo e nao entra na conta.
+function getAudioEffectsTempo(effects = []) {
+  return effects.reduce((tempo, effect) => {
+    const { name, value } = splitAudioEffect(effect);
+    if (name === 'speed') {
+      return tempo * value;
+    }
+
+    return tempo * (AUDIO_EFFECTS[name]?.rate || 1);
+  }, 1);
+}
+
+function buildRateFilters(rate) {
+  return [
+    `aresample=${AUDIO_EFFECT_SAMPLE_RATE}`,
+    `asetrate=${Math.round(AUDIO_EFFECT_SAMPLE_RATE * rate)}`,
+    `aresample=${AUDIO_EFFECT_SAMPLE_RATE}`
+  ];
+}
+
+function buildAudioEffectFilters(effect) {
+  const { name, value } = splitAudioEffect(effect);
+
+  if (name === 'speed') {
+    // atempo muda so a velocidade, sem alterar o tom.
+    return [`atempo=${value}`];
+  }
+
+  if (name === 'pitch') {
+    const rate = 2 ** (value / 12);
+    return [...buildRateFilters(rate), `atempo=${(1 / rate).toFixed(6)}`];
+  }
+
+  const definition = AUDIO_EFFECTS[name];
+  return definition.rate ? buildRateFilters(definition.rate) : definition.filters;
+}
+
+// Filtros sem espacos: o grafo vai dentro de --postprocessor-args, que o yt-dlp separa como shell.
+function buildAudioFilterGraph(effects = [], options = {}) {
+  const filters = effects.flatMap(buildAudioEffectFilters);
+
+  if (options.normalize) {
+    // EBU R128 por ultimo, para medir o volume do resultado ja com os efeitos.
+    filters.push(`loudnorm=I=${options.loudnessTarget ?? -14}:TP=-1.5:LRA=11`);
+  }
+
+  return filters.join(',');
+}
+
+function buildTargetSizeProfile(durationSeconds, targetSizeBytes, options = {}) {
+  const maxHeight = clampNumber(Number(options.videoMaxHeight) || 480, 240, MAX_VIDEO_HEIGHT);
+  const duration = Math.max(1, Number(durationSeconds) || 0);
+  const totalKbps = (targetSizeBytes * TARGET_SIZE_SAFETY_RATIO * 8) / duration / 1000;
+  let audioBitrateKbps = clampNumber(Number(options.videoAudioBitrateKbps) || 64, 32, 192);
+  let videoBudgetKbps = totalKbps - audioBitrateKbps;
+
+  // Com orcamento apertado, audio mais leve devolve bitrate para a imagem.
+  if (videoBudgetKbps < VIDEO_BITRATE_LADDER.find((step) => step.height === 360).minKbps && audioBitrateKbps > 48) {
+    audioBitrateKbps = 48;
+    videoBudgetKbps = totalKbps - audioBitrateKbps;
+  }
+
+  if (videoBudgetKbps < MIN_TARGET_VIDEO_KBPS) {
+    throw new DownloadError('FILE_TOO_LARGE', 'Duracao longa demais para caber no limite de tamanho.', {
+      durationSeconds: duration,
+      maxFileSize: targetSizeBytes
+    });
+  }
+
+  const step = VIDEO_BITRATE_LADDER.find((candidate) => {
+    return candidate.height <= maxHeight && videoBudgetKbps >= candidate.minKbps;
+  }) || VIDEO_BITRATE_LADDER[VIDEO_BITRATE_LADDER.length - 1];
+
+  return {
+    maxHeight: step.height,
+    videoBitrateKbps: Math.floor(Math.min(videoBudgetKbps, step.maxKbps)),
+    audioBitrateKbps
+  };
+}
+
+async function runFfmpegTwoPass(inputPath, outputPath, ffmpegLocation, profile, runOptions = {}) {
+  const { onProgress } = runOptions;
+  const parsedOutput = path.parse(outputPath);
+  const passLogPrefix = path.join(parsedOutput.dir, `${parsedOutput.name}-2pass`);
+  const bitrate = profile.videoBitrateKbps;
+  const videoArgs = [
+    ...buildH264VideoArgs(profile.maxHeight, [
+      '-b:v',
+      `${bitrate}k`,
+      '-maxrate',
+      `${Math.round(bitrate * 1.5)}k`,
+      '-bufsize',
+      `${bitrate * 2}k`
+    ]),
+    '-passlogfile',
+    passLogPrefix
+  ];
+  // Cada passagem conta como metade da etapa de conversao; na primeira, o ETA inclui a segunda inteira.
+  const passProgress = (passIndex) => (progress) => {
+    if (!onProgress) {
+      return;
+    }
+
+    const remainingPassSeconds = passIndex === 0 && progress.speedFactor
+      ? progress.totalSeconds / progress.speedFactor
+      : 0;
+
+    onProgress({
+      ...progress,
+      percent: progress.percent === null ? null : passIndex * 50 + progress.percent / 2,
+      etaSeconds: progress.etaSeconds === null ? null : progress.etaSeconds + remainingPassSeconds
+    });
+  };
+
+  try {
+    await spawnFfmpeg(
+      ['-y', '-i', inputPath, ...videoArgs, '-pass', '1', '-an', '-f', 'null', os.devNull],
+      ffmpegLocation,
+      { ...runOptions, onProgress: passProgress(0) }
+    );
+    await spawnFfmpeg(
+      ['-y', '-i', inputPath, ...videoArgs, '-pass', '2', ...buildAacAudioArgs(profile.audioBitrateKbps), outputPath],
+      ffmpegLocation,
+      { ...runOptions, onProgress: passProgress(1) }
+    );
+  } finally {
+    await safeRemoveByPrefix(parsedOutput.dir, path.basename(passLogPrefix));
+  }
+}
+
+async function probeEncodedVideo(filePath, ffmpegLocation) {
+  const probe = await probeMediaFile(filePath, ffmpegLocation);
+
+  if (!probe.video) {
+    throw new DownloadError('FFMPEG_ERROR', 'Arquivo convertido sem faixa de video.');
+  }
+
+  if (!probe.size) {
+    probe.size = (await fs.promises.stat(filePath)).size;
+  }
+
+  return probe;
+}
+
+async function encodeToTargetSize(inputPath, outputPath, ffmpegLocation, profile, runOptions, maxFileSize) {
+  let currentProfile = profile;
+  let result = null;
+
+  for (let attempt = 1; attempt <= TARGET_SIZE_MAX_ATTEMPTS; attempt += 1) {
+    if (attempt > 1) {
+      await safeUnlink(outputPath);
+    }
+
+    await runFfmpegTwoPass(inputPath, outputPath, ffmpegLocation, currentProfile, runOptions);
+
+    const probe = await probeEncodedVideo(outputPath, ffmpegLocation);
+    result = { profile: currentProfile, probe, attempts: attempt };
+
+    if (probe.size <= maxFileSize) {
+      break;
+    }
+
+    // Raro no two-pass, mas acontece em conteudo muito estatico: reduz na proporcao do excesso.
+    const ratio = (maxFileSize / probe.size) * TARGET_SIZE_SAFETY_RATIO;
+    const scaledBitrate = Math.floor(currentProfile.videoBitrateKbps * ratio);
+    if (scaledBitrate < MIN_TARGET_VIDEO_KBPS) {
+      break;
+    }
+
+    currentProfile = { ...currentProfile, videoBitrateKbps: scaledBitrate };
+  }
+
+  return result;
+}
+
+async function encodeWithCrf(inputPath, outputPath, ffmpegLocation, profile, runOptions, maxFileSize) {
+  await runFfmpeg(inputPath, outputPath, ffmpegLocation, profile, runOptions);
+
+  let probe = await probeEncodedVideo(outputPath, ffmpegLocation);
+  if (probe.size <= maxFileSize) {
+    return { profile, probe, attempts: 1 };
+  }
+
+  const fallbackProfile = buildFallbackVideoCompressionProfile(profile);
+  if (!fallbackProfile) {
+    return { profile, probe, attempts: 1 };
+  }
+
+  await safeUnlink(outputPath);
+  await runFfmpeg(inputPath, outputPath, ffmpegLocation, fallbackProfile, runOptions);
+  probe = await probeEncodedVideo(outputPath, ffmpegLocation);
+
+  return { profile: fallbackProfile, probe, attempts: 2 };
+}
+
+function describeVideoEncoding(mode, { profile, probe, attempts }) {
+  return {
+    mode,
+    height: probe.video.height || profile.maxHeight,
+    videoBitrateKbps: probe.video.bitRate ? Math.round(probe.video.bitRate / 1000) : profile.videoBitrateKbps || null,
+    targetVideoBitrateKbps: profile.videoBitrateKbps || null,
+    crf: mode === 'crf' ? profile.crf : null,
+    audioBitrateKbps: profile.audioBitrateKbps,
+    size: probe.size,
+    durationSeconds: probe.durationSeconds,
+    attempts
+  };
+}
+
+function buildSplitPartArgs(inputPath, outputPath, startSeconds, durationSeconds, reencode) {
+  const extension = path.extname(outputPath).toLowerCase();
+  const args = [
+    '-y',
+    '-ss',
+    String(startSeconds),
+    '-i',
+    inputPath,
+    '-t',
+    String(durationSeconds),
+    '-map',
+    '0',
+    '-map_metadata',
+    '0'
+  ];
+
+  if (!reencode) {
+    args.push('-c', 'copy', '-avoid_negative_ts', 'make_zero');
+  }
+
+  if (extension === '.mp4' || extension === '.m4a') {
+    args.push('-movflags', '+faststart');
+  }
+
+  args.push(outputPath);
+  return args;
+}
+
+async function writeSplitPart(inputPath, outputPath, startSeconds, durationSeconds, ffmpegLocation, signal) {
+  const runOptions = { signal, failureMessage: 'Falha ao dividir o arquivo em partes.' };
+
+  try {
+    await spawnFfmpeg(buildSplitPartArgs(inputPath, outputPath, startSeconds, durationSeconds, false), ffmpegLocation, runOptions);
+  } catch (error) {
+    if (isCancelledError(error) || error.code === 'FFMPEG_NOT_FOUND') {
+      throw error;
+    }
+
+    // Alguns conteineres nao aceitam corte por copia; so nesse caso a parte e recodificada.
+    await safeUnlink(outputPath);
+    await spawnFfmpeg(buildSplitPartArgs(inputPath, outputPath, startSeconds, durationSeconds, true), ffmpegLocation, runOptions);
+  }
+}
+
+async function removeSplitParts(parts) {
+  await Promise.all(parts.map((part) => safeUnlink(part.filePath)));
+}
+
+async function splitMediaFile(filePath, options = {}) {
+  const { maxPartSize, signal } = options;
+  const ffmpegLocation = detectFfmpegLocation();
+  const stats = await fs.promises.stat(filePath);
+  let durationSeconds = Number(options.durationSeconds) || 0;
+
+  try {
+    durationSeconds = (await probeMediaFile(filePath, ffmpegLocation)).durationSeconds || durationSeconds;
+  } catch (error) {
+    if (!durationSeconds) {
+      throw error;
+    }
+  }
+
+  const parsedPath = path.parse(filePath);
+  let total = Math.max(2, Math.ceil(stats.size / (maxPartSize * SPLIT_SAFETY_RATIO)));
+
+  for (let attempt = 0; attempt < SPLIT_MAX_ATTEMPTS; attempt += 1) {
+    const partDuration = durationSeconds / total;
+    const parts = [];
+
+    try {
+      for (let index = 0; index < total; index += 1) {
+        assertNotAborted(signal);
+
+        const startSeconds = index * partDuration;
+        const partPath = path.join(parsedPath.dir, `${parsedPath.name}-part${index + 1}${parsedPath.ext}`);
+        // A ultima parte vai ate o fim, sem perder a sobra de arredondamento.
+        const length = index === total - 1 ? durationSeconds - startSeconds + 1 : partDuration;
+
+        await writeSplitPart(filePath, partPath, startSeconds, length, ffmpegLocation, signal);
+
+        const partStats = await fs.promises.stat(partPath);
+        parts.push({
+          filePath: partPath,
+          fileSize: partStats.size,
+          index: index + 1,
+          total,
+          startSeconds,
+          endSeconds: Math.min(durationSeconds, startSeconds + partDuration)
+        });
+      }
+    } catch (error) {
+      await removeSplitParts(parts);
+      throw error;
+    }
+
+    const largestPart = Math.max(...parts.map((part) => part.fileSize));
+    if (largestPart <= maxPartSize) {
+      return parts;
+    }
+
+    await removeSplitParts(parts);
+    total = Math.ceil(total * (largestPart / (maxPartSize * SPLIT_SAFETY_RATIO)));
+  }
+
+  throw new DownloadError('SPLIT_FAILED', 'Nao foi possivel dividir o arquivo abaixo do limite.', {
+    size: stats.size,
+    maxFileSize: maxPartSize
+  });
+}
+
+async function finalizeOutput(result, options, durationSeconds) {
+  const { splitOversized = false, maxPartSize, maxFileSize, signal } = options;
+  const partLimit = Math.min(maxFileSize, maxPartSize || maxFileSize);
+
+  if (!splitOversized || result.fileSize <= partLimit) {
+    if (result.fileSize > maxFileSize) {
+      await safeUnlink(result.filePath);
+      throw new DownloadError('FILE_TOO_LARGE', 'Arquivo acima do limite de tamanho permitido.', {
+        size: result.fileSize,
+        maxFileSize
+      });
+    }
+
+    return { ...result, parts: null };
+  }
+
+  try {
+    const parts = await splitMediaFile(result.filePath, { maxPartSize: partLimit, durationSeconds, signal });
+    return { ...result, parts };
+  } catch (error) {
+    await safeUnlink(result.filePath);
+    throw error;
+  }
+}
+
+function buildWaveform(levels) {
+  if (levels.length === 0) {
+    return [];
+  }
+
+  const bars = [];
+  const levelsPerBar = levels.length / VOICE_WAVEFORM_BARS;
+
+  for (let bar = 0; bar < VOICE_WAVEFORM_BARS; bar += 1) {
+    const start = Math.floor(bar * levelsPerBar);
+    const end = Math.max(start + 1, Math.floor((bar + 1) * levelsPerBar));
+    const slice = levels.slice(start, Math.min(end, levels.length));
+    bars.push(slice.length > 0 ? slice.reduce((sum, value) => sum + value, 0) / slice.length : 0);
+  }
+
+  const peak = Math.max(...bars);
+  return bars.map((value) => (peak > 0 ? Math.round((value / peak) * 100) : 0));
+}
+
+function computeAudioWaveform(inputPath, ffmpegLocation, runOptions = {}) {
+  const { signal } = runOptions;
+  // Janelas de 50 ms: o audio decodificado nunca fica inteiro em memoria.
+  const samplesPerLevel = VOICE_WAVEFORM_SAMPLE_RATE / 20;
+  const args = [
+    '-i',
+    inputPath,
+    '-ac',
+    '1',
+    '-ar',
+    String(VOICE_WAVEFORM_SAMPLE_RATE),
+    '-f',
+    's16le',
+    '-acodec',
+    'pcm_s16le',
+    'pipe:1'
+  ];
+
   return new Promise((resolve, reject) => {
-    const child = spawn(ffmpegBinary, args, {
+    const child = spawn(getFfmpegBinary(ffmpegLocation), args, {
       env: {
         ...process.env,
-        PATH: envPath
-      }
+        PATH: buildProcessPath()
+      },
+      signal
     });
+    const levels = [];
+    let leftover = Buffer.alloc(0);
+    let windowSum = 0;
+    let windowCount = 0;
     let stderr = '';
 
+    child.stdout.on('data', (chunk) => {
+      const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+      const usableLength = data.length - (data.length % 2);
+
+      for (let offset = 0; offset < usableLength; offset += 2) {
+        windowSum += Math.abs(data.readInt16LE(offset));
+        windowCount += 1;
+
+        if (windowCount === samplesPerLevel) {
+          levels.push(windowSum / windowCount);
+          windowSum = 0;
+          windowCount = 0;
+        }
+      }
+
+      leftover = data.subarray(usableLength);
+    });
+
     child.stderr.on('data', (chunk) => {
       stderr += chunk.toString();
     });
 
     child.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        reject(createCancelledError());
+        return;
+      }
+
       if (error.code === 'ENOENT') {
         reject(new DownloadError('FFMPEG_NOT_FOUND', 'ffmpeg nao encontrado no sistema.'));
         return;
       }
 
-      reject(new DownloadError('FFMPEG_ERROR', 'Falha ao iniciar o ffmpeg.', {
-        originalError: error
-      }));
+      reject(new DownloadError('FFMPEG_ERROR', 'Falha ao iniciar o ffmpeg.', { originalError: error }));
     });
 
     child.on('close', (code) => {
       if (code !== 0) {
-        reject(new DownloadError('FFMPEG_ERROR', 'Falha na conversao de video para formato compativel.', {
-          code,
-          stderr
-        }));
+        reject(new DownloadError('FFMPEG_ERROR', 'Falha ao gerar a forma de onda do audio.', { code, stderr }));
         return;
       }
 
-      resolve();
+      if (windowCount > 0) {
+        levels.push(windowSum / windowCount);
+      }
+
+      resolve(buildWaveform(levels));
     });
   });
 }
@@ -363,6 +1310,84 @@ async function resolveOutputPath(downloadPath, baseName, extensions, label) {
   return path.join(downloadPath, match);
 }
 
+function escapeRegexReplacement(value) {
+  return String(value).replace(/\\/g, '\\\\');
+}
+
+function getAudioFormat(name) {
+  return AUDIO_FORMATS[String(name || '').toLowerCase()] || null;
+}
+
+// Aceita "720" ou "720p"; so valem os degraus de VIDEO_HEIGHTS.
+function getVideoHeight(value) {
+  const match = String(value ?? '').trim().toLowerCase().match(/^(\d{3,4})p?$/);
+  const height = match ? Number(match[1]) : null;
+  return VIDEO_HEIGHTS.includes(height) ? height : null;
+}
+
+// yt-dlp nao aceita valor literal direto: copia um campo existente e substitui o conteudo.
+function buildLiteralMetadataArgs(field, value) {
+  return [
+    '--parse-metadata',
+    `title:%(${field})s`,
+    '--replace-in-metadata',
+    field,
+    '(?s)^.*$',
+    escapeRegexReplacement(value)
+  ];
+}
+
+function buildMetadataArgs({ metadataAlbum, metadataTitle, metadataTrack, embedThumbnail }) {
+  // Titulo e artista/canal ja saem do --embed-metadata; aqui so ajustamos ano e album.
+  const args = [
+    '--embed-metadata',
+    '--parse-metadata',
+    '%(upload_date>%Y|)s:%(meta_date)s'
+  ];
+
+  if (embedThumbnail) {
+    args.push('--embed-thumbnail', '--convert-thumbnails', 'jpg');
+  }
+
+  if (metadataAlbum) {
+    args.push(...buildLiteralMetadataArgs('meta_album', metadataAlbum));
+  }
+
+  if (metadataTitle) {
+    args.push(...buildLiteralMetadataArgs('meta_title', metadataTitle));
+  }
+
+  if (metadataTrack) {
+    args.push(...buildLiteralMetadataArgs('meta_track', String(metadataTrack)));
+  }
+
+  return args;
+}
+
+function getClipDuration(clip, fallbackSeconds) {
+  if (!clip) {
+    return fallbackSeconds;
+  }
+
+  return Math.max(0, clip.endSeconds - clip.startSeconds);
+}
+
+function buildSectionArgs(clip, options = {}) {
+  if (!clip) {
+    return [];
+  }
+
+  // Baixa so o trecho pedido; o restante do video nunca sai do YouTube.
+  const args = ['--download-sections', `*${clip.startSeconds}-${clip.endSeconds}`];
+
+  if (options.forceKeyframes) {
+    // Sem isso o corte do video cai no keyframe anterior e o trecho comeca adiantado.
+    args.push('--force-keyframes-at-cuts');
+  }
+
+  return args;
+}
+
 function buildAudioArgs({
   outputTemplate,
   mediaUrl,
@@ -372,8 +1397,18 @@ function buildAudioArgs({
   audioBitrateKbps = 96,
   audioChannels = 1,
   audioSampleRate = 32000,
-  ytDlpConcurrentFragments = 4
+  ytDlpConcurrentFragments = 4,
+  embedMetadata = false,
+  metadataAlbum = '',
+  metadataTitle = '',
+  metadataTrack = null,
+  audioFormat = DEFAULT_AUDIO_FORMAT,
+  audioEffects = [],
+  audioNormalize = false,
+  audioLoudnessTarget,
+  clip = null
 }) {
+  const format = getAudioFormat(audioFormat) || AUDIO_FORMATS[DEFAULT_AUDIO_FORMAT];
   const args = [
     '--no-playlist',
     '-N',
@@ -382,26 +1417,47 @@ function buildAudioArgs({
     'bestaudio[ext=m4a]/bestaudio/best',
     '-x',
     '--audio-format',
-    'mp3',
+    format.ytDlpFormat,
     '--audio-quality',
-    String(audioQuality)
+    String(audioQuality),
+    ...buildSectionArgs(clip)
   ];
 
   const postprocessorArgs = [
-    '-b:a', `${audioBitrateKbps}k`,
+    ...(format.lossless ? [] : ['-b:a', `${audioBitrateKbps}k`]),
     '-ac', String(audioChannels),
-    '-ar', String(audioSampleRate)
+    '-ar', String(format.sampleRate || audioSampleRate)
   ];
+
+  const audioFilterGraph = buildAudioFilterGraph(audioEffects, {
+    normalize: audioNormalize,
+    loudnessTarget: audioLoudnessTarget
+  });
+  if (audioFilterGraph) {
+    // Com o codec de origem igual ao pedido o yt-dlp so copia o stream, e copia nao aceita filtros.
+    postprocessorArgs.push('-c:a', format.ffmpegCodec, '-af', audioFilterGraph);
+  }
+
   args.push('--postprocessor-args', `ExtractAudio+ffmpeg_o:${postprocessorArgs.join(' ')}`);
 
+  if (embedMetadata) {
+    args.push(...buildMetadataArgs({
+      metadataAlbum,
+      metadataTitle,
+      metadataTrack,
+      embedThumbnail: format.embedThumbnail
+    }));
+  }
+
   if (ffmpegLocation) {
     args.push('--ffmpeg-location', ffmpegLocation);
   }
 
   args.push(
     ...ytDlpAuthArgs,
-    '--no-progress',
     '--newline',
+    '--progress-template',
+    YTDLP_PROGRESS_TEMPLATE,
     '-o',
     outputTemplate,
     mediaUrl
@@ -416,15 +1472,17 @@ function buildVideoArgs({
   ffmpegLocation,
   ytDlpAuthArgs,
   videoMaxHeight = 480,
-  ytDlpConcurrentFragments = 4
+  ytDlpConcurrentFragments = 4,
+  clip = null
 }) {
-  const boundedMaxHeight = clampNumber(Number(videoMaxHeight) || 480, 240, 720);
+  const boundedMaxHeight = clampNumber(Number(videoMaxHeight) || 480, 240, MAX_VIDEO_HEIGHT);
   const args = [
     '--no-playlist',
     '-N',
     String(Math.max(1, ytDlpConcurrentFragments)),
     '-f',
-    `bv*[height<=${boundedMaxHeight}][vcodec*=avc1]+ba[acodec*=mp4a]/b[height<=${boundedMaxHeight}][ext=mp4]/best[height<=${boundedMaxHeight}]/best`
+    `bv*[height<=${boundedMaxHeight}][vcodec*=avc1]+ba[acodec*=mp4a]/b[height<=${boundedMaxHeight}][ext=mp4]/best[height<=${boundedMaxHeight}]/best`,
+    ...buildSectionArgs(clip, { forceKeyframes: true })
   ];
 
   if (ffmpegLocation) {
@@ -433,8 +1491,9 @@ function buildVideoArgs({
 
   args.push(
     ...ytDlpAuthArgs,
-    '--no-progress',
     '--newline',
+    '--progress-template',
+    YTDLP_PROGRESS_TEMPLATE,
     '-o',
     outputTemplate,
     mediaUrl
@@ -463,9 +1522,22 @@ async function downloadWithArgs(video, options) {
     ytDlpConcurrentFragments,
     videoMaxHeight,
     videoCrf,
-    videoAudioBitrateKbps
+    videoAudioBitrateKbps,
+    embedMetadata,
+    metadataAlbum,
+    metadataTitle,
+    metadataTrack,
+    audioFormat,
+    audioEffects,
+    audioNormalize,
+    audioLoudnessTarget,
+    clip,
+    signal,
+    onProgress,
+    onStageChange
   } = options;
 
+  assertNotAborted(signal);
   await ensureDirectory(downloadPath);
 
   const baseName = `${sanitizeFilename(video.title, 60)}-${Date.now()}`;
@@ -491,43 +1563,32 @@ async function downloadWithArgs(video, options) {
     ytDlpConcurrentFragments,
     videoMaxHeight,
     videoCrf,
-    videoAudioBitrateKbps
+    videoAudioBitrateKbps,
+    embedMetadata,
+    metadataAlbum,
+    metadataTitle,
+    metadataTrack,
+    audioFormat,
+    audioEffects,
+    audioNormalize,
+    audioLoudnessTarget,
+    clip
   });
 
-  const { code, stderr } = await runYtDlp(args);
+  let ytDlpResult;
+  try {
+    ytDlpResult = await runYtDlp(args, { signal, onProgress, onStageChange });
+  } catch (error) {
+    await safeRemoveByPrefix(downloadPath, baseName);
+    throw error;
+  }
+
+  const { code, stderr } = ytDlpResult;
 
   if (code !== 0) {
     // Remove artefatos parciais quando o yt-dlp falhar.
     await safeRemoveByPrefix(downloadPath, baseName);
-
-    if (isYtDlpAuthError(stderr)) {
-      throw new DownloadError(
-        'YTDLP_AUTH_REQUIRED',
-        'YouTube exigiu autenticacao (cookies) para continuar.',
-        { code, stderr }
-      );
-    }
-
-    if (isYtDlpChallengeError(stderr)) {
-      throw new DownloadError(
-        'YTDLP_CHALLENGE_FAILED',
-        'Falha ao resolver challenge do YouTube (runtime JS/EJS).',
-        { code, stderr }
-      );
-    }
-
-    if (isYtDlpFormatUnavailableError(stderr)) {
-      throw new DownloadError(
-        'YTDLP_FORMAT_UNAVAILABLE',
-        'Formato solicitado nao disponivel para este video.',
-        { code, stderr }
-      );
-    }
-
-    throw new DownloadError('YTDLP_ERROR', 'yt-dlp retornou erro durante o download.', {
-      code,
-      stderr
-    });
+    throw buildYtDlpError(code, stderr);
   }
 
   const filePath = await resolveOutputPath(downloadPath, baseName, outputExtensions, outputLabel);
@@ -548,20 +1609,70 @@ async function downloadWithArgs(video, options) {
 }
 
 async function downloadAudio(video, options) {
-  return downloadWithArgs(video, {
+  const format = getAudioFormat(options.audioFormat) || AUDIO_FORMATS[DEFAULT_AUDIO_FORMAT];
+
+  const result = await downloadWithArgs(video, {
+    ...options,
+    argsBuilder: buildAudioArgs,
+    outputExtensions: [format.extension],
+    outputLabel: `Arquivo ${format.label}`,
+    // O limite e aplicado em finalizeOutput, que pode dividir em partes em vez de recusar.
+    skipSizeValidation: true
+  });
+
+  return finalizeOutput(result, options, getClipDuration(options.clip, video?.durationSeconds));
+}
+
+async function downloadVoiceNote(video, options) {
+  // Nota de voz do WhatsApp: OGG/Opus mono; sem tags, que o player de PTT ignora.
+  const result = await downloadWithArgs(video, {
     ...options,
     argsBuilder: buildAudioArgs,
-    outputExtensions: ['mp3'],
-    outputLabel: 'Arquivo MP3'
+    audioFormat: VOICE_NOTE_FORMAT,
+    audioChannels: 1,
+    embedMetadata: false,
+    metadataAlbum: '',
+    metadataTitle: '',
+    metadataTrack: null,
+    outputExtensions: [AUDIO_FORMATS[VOICE_NOTE_FORMAT].extension],
+    outputLabel: 'Nota de voz'
   });
+
+  try {
+    const waveform = await computeAudioWaveform(result.filePath, detectFfmpegLocation(), {
+      signal: options.signal
+    });
+
+    return {
+      ...result,
+      waveform
+    };
+  } catch (error) {
+    if (isCancelledError(error)) {
+      await safeUnlink(result.filePath);
+      throw error;
+    }
+
+    // Sem forma de onda a nota de voz ainda toca; o WhatsApp exibe a barra sem relevo.
+    return {
+      ...result,
+      waveform: null
+    };
+  }
 }
 
 async function downloadVideo(video, options) {
-  const compressionProfile = buildVideoCompressionProfile(video?.durationSeconds, {
+  const durationSeconds = getClipDuration(options.clip, video?.durationSeconds);
+  const encodingMode = options.videoEncodingMode === 'target' ? 'target' : 'crf';
+  const profileOptions = {
     videoMaxHeight: options.videoMaxHeight,
     videoCrf: options.videoCrf,
     videoAudioBitrateKbps: options.videoAudioBitrateKbps
-  });
+  };
+  // O tamanho-alvo e o proprio limite; o perfil sai antes do download para baixar so a resolucao usada.
+  const compressionProfile = encodingMode === 'target'
+    ? buildTargetSizeProfile(durationSeconds, options.maxFileSize, profileOptions)
+    : buildVideoCompressionProfile(durationSeconds, profileOptions);
 
   const rawResult = await downloadWithArgs(video, {
     ...options,
@@ -575,40 +1686,155 @@ async function downloadVideo(video, options) {
   const ffmpegLocation = detectFfmpegLocation();
   const parsedRawPath = path.parse(rawResult.filePath);
   const convertedPath = path.join(parsedRawPath.dir, `${parsedRawPath.name}-wa.mp4`);
+  const runOptions = {
+    signal: options.signal,
+    onProgress: options.onProgress,
+    durationSeconds
+  };
 
   try {
-    await runFfmpeg(rawResult.filePath, convertedPath, ffmpegLocation, compressionProfile);
+    assertNotAborted(options.signal);
 
-    let stats = await fs.promises.stat(convertedPath);
-    if (stats.size > options.maxFileSize) {
-      const fallbackProfile = buildFallbackVideoCompressionProfile(compressionProfile);
-
-      if (fallbackProfile) {
-        await safeUnlink(convertedPath);
-        await runFfmpeg(rawResult.filePath, convertedPath, ffmpegLocation, fallbackProfile);
-        stats = await fs.promises.stat(convertedPath);
-      }
+    if (options.onStageChange) {
+      options.onStageChange('converting');
     }
 
-    if (stats.size > options.maxFileSize) {
-      await safeUnlink(convertedPath);
-      throw new DownloadError('FILE_TOO_LARGE', 'Arquivo acima do limite de tamanho permitido.', {
-        size: stats.size,
-        maxFileSize: options.maxFileSize
-      });
-    }
+    const encode = encodingMode === 'target' ? encodeToTargetSize : encodeWithCrf;
+    const encodeResult = await encode(
+      rawResult.filePath,
+      convertedPath,
+      ffmpegLocation,
+      compressionProfile,
+      runOptions,
+      options.maxFileSize
+    );
+    const encoding = describeVideoEncoding(encodingMode, encodeResult);
+    const result = await finalizeOutput({ filePath: convertedPath, fileSize: encoding.size }, options, durationSeconds);
 
     return {
-      filePath: convertedPath,
-      fileSize: stats.size
+      ...result,
+      encoding
     };
+  } catch (error) {
+    // Conversao interrompida deixa o MP4 parcial com o mesmo prefixo do arquivo bruto.
+    await safeRemoveByPrefix(parsedRawPath.dir, parsedRawPath.name);
+    throw error;
   } finally {
     await safeUnlink(rawResult.filePath);
   }
 }
 
+function normalizeChapters(rawChapters, durationSeconds) {
+  if (!Array.isArray(rawChapters)) {
+    return [];
+  }
+
+  return rawChapters
+    .map((chapter) => ({
+      title: String(chapter?.title || '').trim(),
+      startSeconds: Math.max(0, Number(chapter?.start_time) || 0),
+      endSeconds: Number(chapter?.end_time) || Number(durationSeconds) || 0
+    }))
+    .filter((chapter) => chapter.endSeconds > chapter.startSeconds)
+    .map((chapter, index) => ({
+      ...chapter,
+      index: index + 1
+    }));
+}
+
+async function fetchVideoChapters(video, options = {}) {
+  const ytDlpAuthArgs = buildYtDlpAuthArgs(options);
+  const outputLines = [];
+  const args = [
+    '--no-playlist',
+    '--skip-download',
+    '--print',
+    '%(chapters)j',
+    ...ytDlpAuthArgs,
+    video.url
+  ];
+
+  const { code, stderr } = await runYtDlp(args, {
+    signal: options.signal,
+    onOutputLine: (line) => outputLines.push(line)
+  });
+
+  if (code !== 0) {
+    throw buildYtDlpError(code, stderr);
+  }
+
+  // Sem capitulos o yt-dlp imprime "null" (ou "NA" em versoes antigas).
+  try {
+    return normalizeChapters(JSON.parse(outputLines[outputLines.length - 1] || 'null'), video.durationSeconds);
+  } catch {
+    return [];
+  }
+}
+
+// Formatos como 1280x718 contam como 720p; margem de 5% para recortes de barra preta.
+function getAvailableVideoHeights(formatHeights) {
+  const tallest = Math.max(0, ...formatHeights.map((height) => Number(height) || 0));
+  const available = VIDEO_HEIGHTS.filter((height) => tallest >= height * 0.95);
+
+  return available.length > 0 ? available : [VIDEO_HEIGHTS[0]];
+}
+
+async function fetchVideoHeights(video, options = {}) {
+  const ytDlpAuthArgs = buildYtDlpAuthArgs(options);
+  const outputLines = [];
+  const args = [
+    '--no-playlist',
+    '--skip-download',
+    '--print',
+    '%(formats.:.height)j',
+    ...ytDlpAuthArgs,
+    video.url
+  ];
+
+  const { code, stderr } = await runYtDlp(args, {
+    signal: options.signal,
+    onOutputLine: (line) => outputLines.push(line)
+  });
+
+  if (code !== 0) {
+    throw buildYtDlpError(code, stderr);
+  }
+
+  // Formatos so de audio vem com altura null.
+  let formatHeights = [];
+  try {
+    const parsed = JSON.parse(outputLines[outputLines.length - 1] || '[]');
+    formatHeights = Array.isArray(parsed) ? parsed : [];
+  } catch {
+    formatHeights = [];
+  }
+
+  return getAvailableVideoHeights(formatHeights);
+}
+
+function isCancelledError(error) {
+  return error instanceof DownloadError && error.code === 'CANCELLED';
+}
+
 module.exports = {
+  AUDIO_FORMATS,
+  assertNotAborted,
+  buildAudioArgs,
+  buildAudioFilterGraph,
+  buildTargetSizeProfile,
   downloadAudio,
   downloadVideo,
-  DownloadError
+  downloadVoiceNote,
+  DownloadError,
+  fetchVideoChapters,
+  fetchVideoHeights,
+  getAudioEffectsLabel,
+  getAudioEffectsTempo,
+  getAudioFormat,
+  getVideoHeight,
+  isCancelledError,
+  parseAudioEffects,
+  splitMediaFile,
+  VIDEO_HEIGHTS,
+  VOICE_NOTE_FORMAT
 };
@@ -0,0 +1,71 @@
+const config = require('./config');
+
+const FALLBACK_LANGUAGE = 'pt-BR';
+const CATALOGS = {
+  'pt-BR': require('./locales/pt-BR'),
+  en: require('./locales/en'),
+  es: require('./locales/es')
+};
+const LANGUAGES = Object.keys(CATALOGS);
+
+const LANGUAGE_NAMES = {
+  pt: 'pt-BR',
+  portugues: 'pt-BR',
+  'português': 'pt-BR',
+  portuguese: 'pt-BR',
+  en: 'en',
+  english: 'en',
+  ingles: 'en',
+  'inglês': 'en',
+  'inglés': 'en',
+  es: 'es',
+  espanol: 'es',
+  'español': 'es',
+  espanhol: 'es',
+  spanish: 'es'
+};
+
+// Aceita codigo ou nome do idioma; variante regional ("en-GB", "pt_PT") cai no idioma base.
+function normalizeLanguage(value) {
+  const normalized = String(value || '').trim().toLowerCase().replace(/_/g, '-');
+  const exact = LANGUAGES.find((language) => language.toLowerCase() === normalized);
+
+  return exact || LANGUAGE_NAMES[normalized] || LANGUAGE_NAMES[normalized.split('-')[0]] || null;
+}
+
+const DEFAULT_LANGUAGE = normalizeLanguage(config.defaultLanguage) || FALLBACK_LANGUAGE;
+
+function getTemplate(language, key) {
+  const message = CATALOGS[language]?.messages[key];
+  if (message !== undefined) {
+    return message;
+  }
+
+  return CATALOGS[FALLBACK_LANGUAGE].messages[key] ?? key;
+}
+
+// "{nome}" vem de params; "{prefix}" e sempre o primeiro prefixo configurado.
+function t(language, key, params = {}) {
+  const values = { prefix: config.commandPrefixes[0], ...params };
+
+  return getTemplate(language, key).replace(/\{(\w+)\}/g, (match, name) => {
+    return values[name] === undefined ? match : String(values[name]);
+  });
+}
+
+function getLanguageLabel(language) {
+  return CATALOGS[language]?.label || language;
+}
+
+function getLocaleAliases(language) {
+  return CATALOGS[language]?.commandAliases || {};
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getLanguageLabel,
+  getLocaleAliases,
+  LANGUAGES,
+  normalizeLanguage,
+  t
+};
@@ -1,8 +1,55 @@
 const config = require('./config');
-const { parseCommand } = require('./commands');
-const { downloadAudio, downloadVideo, DownloadError } = require('./downloader');
+const {
+  COMMANDS,
+  describeCommand,
+  FLAGS,
+  formatCommand,
+  formatFlagUsage,
+  getCommand,
+  getCommandUsage,
+  getFlagDescription,
+  isCommandText,
+  parseCommand
+} = require('./commands');
+const {
+  AUDIO_FORMATS,
+  assertNotAborted,
+  downloadAudio,
+  downloadVideo,
+  downloadVoiceNote,
+  DownloadError,
+  fetchVideoChapters,
+  fetchVideoHeights,
+  getAudioEffectsLabel,
+  getAudioEffectsTempo,
+  getAudioFormat,
+  getVideoHeight,
+  isCancelledError,
+  parseAudioEffects,
+  splitMediaFile,
+  VIDEO_HEIGHTS,
+  VOICE_NOTE_FORMAT
+} = require('./downloader');
+const { DEFAULT_LANGUAGE, getLanguageLabel, LANGUAGES, normalizeLanguage, t } = require('./i18n');
+const { buildCacheKey, MediaCache } = require('./mediaCache');
+const { PluginError, PluginManager } = require('./plugins');
 const { DownloadQueue } = require('./queue');
-const { startWhatsApp } = require('./whatsapp');
+const {
+  MEDIA_AUDIO,
+  MEDIA_VIDEO,
+  MEDIA_VOICE,
+  parsePageNavigation,
+  parsePreviewRequest,
+  parseSelectionChoice
+} = require('./selection');
+const {
+  JOB_STATUS_CONVERTING,
+  JOB_STATUS_DOWNLOADING,
+  JOB_STATUS_SENDING,
+  JOB_STATUS_WAITING,
+  StateStore
+} = require('./stateStore');
+const { createChatContext, startWhatsApp } = require('./whatsapp');
 const {
   getPlaylistOptions,
   getVideoFromInput,
@@ -10,16 +57,71 @@ const {
   YoutubeError
 } = require('./youtube');
 const {
+  buildDisplayFileName,
+  cleanArtistName,
   ensureDirectory,
+  extractYouTubeVideoId,
+  formatBytes,
   formatSeconds,
   isLikelyUrl,
+  parseTimeInput,
   safeUnlink
 } = require('./utils');
 
-const queue = new DownloadQueue();
+const queue = new DownloadQueue({
+  maxWorkers: config.queueMaxWorkers,
+  typeLimits: {
+    audio: config.queueMaxAudioWorkers,
+    video: config.queueMaxVideoWorkers
+  }
+});
+const stateStore = new StateStore(config.statePath);
+const mediaCache = new MediaCache(config.mediaCachePath, config.mediaCacheMaxSize);
+const plugins = new PluginManager();
 const pendingSelections = new Map();
-const MEDIA_AUDIO = 'audio';
-const MEDIA_VIDEO = 'video';
+// Previa de selecao: passa pela fila como job, mas nao e retomada apos reinicio.
+const MEDIA_PREVIEW = 'preview';
+const COMMAND_MEDIA_TYPES = {
+  play: MEDIA_AUDIO,
+  video: MEDIA_VIDEO,
+  voice: MEDIA_VOICE,
+  karaoke: MEDIA_AUDIO,
+  clip: MEDIA_AUDIO
+};
+const YTS_RESULTS_PER_PAGE = 20;
+const REACTION_QUEUED = '⏳';
+const REACTION_DOWNLOADING = '⬇️';
+const REACTION_DONE = '✅';
+const REACTION_FAILED = '❌';
+const AUDIO_EFFECT_NAMES = ['normalize', 'nightcore', 'slowed', 'reverb', 'bassboost', 'speed=1.25', 'pitch=+2', 'off'];
+// Codigos com texto proprio no catalogo (error.<CODE>); os demais caem na mensagem generica da origem.
+const YOUTUBE_ERROR_CODES = [
+  'INVALID_URL',
+  'NOT_FOUND',
+  'DURATION_LIMIT',
+  'AUDIO_DURATION_LIMIT',
+  'VIDEO_DURATION_LIMIT',
+  'VOICE_DURATION_LIMIT',
+  'CLIP_OUT_OF_RANGE',
+  'QUALITY_ABOVE_LIMIT',
+  'QUALITY_UNAVAILABLE',
+  'NO_CHAPTERS',
+  'PLAYLIST_NOT_FOUND',
+  'PLAYLIST_NO_VALID_VIDEOS'
+];
+const DOWNLOAD_ERROR_CODES = [
+  'YTDLP_NOT_FOUND',
+  'FFMPEG_NOT_FOUND',
+  'FFMPEG_ERROR',
+  'COOKIES_FILE_NOT_FOUND',
+  'YTDLP_AUTH_REQUIRED',
+  'YTDLP_CHALLENGE_FAILED',
+  'YTDLP_FORMAT_UNAVAILABLE',
+  'FILE_TOO_LARGE',
+  'SPLIT_FAILED',
+  'CANCELLED'
+];
+const WHATSAPP_ERROR_CODES = ['WHATSAPP_NOT_CONNECTED', 'WHATSAPP_SEND_AUDIO_FAILED', 'WHATSAPP_SEND_VIDEO_FAILED'];
 
 function bold(text) {
   return `*${text}*`;
@@ -29,131 +131,131 @@ function mono(text) {
   return `\`${text}\``;
 }
 
-function getMaxSearchDuration() {
-  return Math.max(config.maxAudioDuration, config.maxVideoDuration);
+// Comandos citados nas mensagens usam o primeiro prefixo configurado (COMMAND_PREFIXES).
+function monoCommand(text) {
+  return mono(formatCommand(text));
+}
+
+function getMaxSearchDuration(requestOptions = {}) {
+  // Com trecho definido o limite vale para o corte; videos longos (lives, sets) continuam elegiveis.
+  if (requestOptions.clip) {
+    return Number.POSITIVE_INFINITY;
+  }
+
+  return Math.max(config.maxAudioDuration, config.maxVideoDuration, config.maxVoiceDuration);
+}
+
+function getDefaultMediaLabel(mediaType, language, audioFormat) {
+  return t(language, `media.${mediaType}`, { format: resolveAudioFormat({ audioFormat }).label });
 }
 
-function getDefaultMediaLabel(mediaType) {
-  return mediaType === MEDIA_VIDEO ? 'video compacto' : 'audio MP3';
+function formatHelpCommand(name, language) {
+  const command = describeCommand(name, language);
+  const aliases = command.aliases.length > 0
+    ? ` ${t(language, 'help.aliases', { aliases: command.aliases.map((alias) => monoCommand(alias)).join(', ') })}`
+    : '';
+
+  return `${monoCommand(`${command.name} ${command.usage}`.trim())}${aliases} - ${command.description}`;
 }
 
-function buildHelpText() {
+function buildHelpText(language, audioFormat) {
+  const seconds = config.previewDurationSeconds;
+
   return [
-    `${bold('Music Bot - Guia Rapido')}`,
+    t(language, 'help.title'),
     '',
-    `${bold('1) Buscar')}`,
-    `${mono('/play <nome|url>')} - prioriza audio MP3`,
-    `${mono('/video <nome|url>')} - prioriza video compacto`,
-    `${mono('/cancel')} - cancela selecao pendente`,
-    `${mono('/help')} - mostra este guia`,
+    t(language, 'help.commands'),
+    ...COMMANDS.map((command) => formatHelpCommand(command.name, language)),
     '',
-    `${bold('2) Escolher Opcao')}`,
-    `${mono('1')} usa formato padrao do comando`,
-    `${mono('a1')} forca audio MP3`,
-    `${mono('v1')} forca video compacto`,
+    t(language, 'help.options'),
+    ...Object.keys(FLAGS).map((name) => `${mono(formatFlagUsage(name, language))} - ${getFlagDescription(name, language)}`),
+    t(language, 'help.effects', { effects: AUDIO_EFFECT_NAMES.map(mono).join(', ') }),
     '',
-    `${bold('3) Playlist')}`,
-    'Ao selecionar playlist, o bot lista as faixas.',
-    `Escolha novamente com ${mono('1')}, ${mono('a1')} ou ${mono('v1')}.`,
+    t(language, 'help.selection'),
+    t(language, 'help.selection.default'),
+    t(language, 'help.selection.audio', { format: resolveAudioFormat({ audioFormat }).label }),
+    t(language, 'help.selection.video'),
+    t(language, 'help.selection.height'),
+    t(language, 'help.selection.voice'),
+    t(language, 'help.selection.karaoke'),
+    t(language, 'help.selection.preview', { seconds }),
+    t(language, 'help.selection.multi'),
+    t(language, 'help.selection.pages'),
     '',
-    `${bold('4) Usar Quote (responder mensagem)')}`,
-    `Responda uma mensagem com ${mono('/play')} ou ${mono('/video')} sem repetir texto.`,
-    'O bot usa automaticamente o conteudo da mensagem citada.',
+    t(language, 'help.playlist'),
+    t(language, 'help.playlist.tracks'),
+    t(language, 'help.playlist.choose'),
+    t(language, 'help.playlist.chapters'),
     '',
-    `${bold('Exemplos')}`,
-    mono('/play linkin park numb'),
-    mono('/video imagine dragons believer'),
-    mono('/play https://www.youtube.com/watch?v=...'),
-    mono('/play https://www.youtube.com/playlist?list=...'),
+    t(language, 'help.quote'),
+    t(language, 'help.quote.usage'),
+    t(language, 'help.quote.auto'),
     '',
-    `${bold('Limites')}`,
-    `Audio: ${formatSeconds(config.maxAudioDuration)}`,
-    `Video: ${formatSeconds(config.maxVideoDuration)} (max ${config.videoMaxHeight}p)`
+    t(language, 'help.examples'),
+    monoCommand('play linkin park numb'),
+    monoCommand('video imagine dragons believer'),
+    monoCommand('play https://www.youtube.com/watch?v=...'),
+    monoCommand('play https://www.youtube.com/playlist?list=...'),
+    '',
+    t(language, 'help.limits'),
+    t(language, 'help.limits.audio', { duration: formatSeconds(config.maxAudioDuration) }),
+    t(language, 'help.limits.video', {
+      duration: formatSeconds(config.maxVideoDuration),
+      defaultHeight: config.videoMaxHeight,
+      maxHeight: config.videoQualityMaxHeight
+    }),
+    t(language, 'help.limits.voice', { duration: formatSeconds(config.maxVoiceDuration) })
   ].join('\n');
 }
 
-function mapPlayError(error) {
+// Valores interpolados nas mensagens de erro que dependem de limites ou dos detalhes do erro.
+const ERROR_PARAMS = {
+  DURATION_LIMIT: () => ({ duration: formatSeconds(getMaxSearchDuration()) }),
+  AUDIO_DURATION_LIMIT: () => ({ duration: formatSeconds(config.maxAudioDuration) }),
+  VIDEO_DURATION_LIMIT: () => ({ duration: formatSeconds(config.maxVideoDuration) }),
+  VOICE_DURATION_LIMIT: () => ({ duration: formatSeconds(config.maxVoiceDuration) }),
+  CLIP_OUT_OF_RANGE: (details) => ({ duration: formatSeconds(details.durationSeconds) }),
+  QUALITY_ABOVE_LIMIT: (details) => ({ height: details.maxHeight }),
+  QUALITY_UNAVAILABLE: (details) => ({ height: details.height, available: formatVideoHeights(details.available) })
+};
+
+function getErrorMessageKey(error) {
   if (error instanceof YoutubeError) {
-    if (error.code === 'INVALID_URL') {
-      return 'URL invalida. Envie um link valido do YouTube ou um termo de busca.';
-    }
-
-    if (error.code === 'NOT_FOUND') {
-      return 'Nada encontrado para essa busca.';
-    }
-
-    if (error.code === 'DURATION_LIMIT') {
-      return `Duracao acima do limite de busca (${formatSeconds(getMaxSearchDuration())}).`;
-    }
-
-    if (error.code === 'AUDIO_DURATION_LIMIT') {
-      return `Audio acima do limite de ${formatSeconds(config.maxAudioDuration)}.`;
-    }
-
-    if (error.code === 'VIDEO_DURATION_LIMIT') {
-      return `Video acima do limite de ${formatSeconds(config.maxVideoDuration)}. Escolha audio para esse item.`;
-    }
-
-    if (error.code === 'PLAYLIST_NOT_FOUND') {
-      return 'Playlist nao encontrada.';
-    }
-
-    if (error.code === 'PLAYLIST_NO_VALID_VIDEOS') {
-      return 'Playlist sem faixas validas para os limites configurados.';
-    }
-
-    return 'Falha ao consultar o YouTube.';
+    return YOUTUBE_ERROR_CODES.includes(error.code) ? `error.${error.code}` : 'error.youtube';
   }
 
   if (error instanceof DownloadError) {
-    if (error.code === 'YTDLP_NOT_FOUND') {
-      return 'yt-dlp nao encontrado no servidor.';
-    }
-
-    if (error.code === 'FFMPEG_NOT_FOUND') {
-      return 'ffmpeg nao encontrado no servidor.';
-    }
-
-    if (error.code === 'FFMPEG_ERROR') {
-      return 'Falha ao converter o video para formato compativel do WhatsApp.';
-    }
-
-    if (error.code === 'COOKIES_FILE_NOT_FOUND') {
-      return 'Arquivo de cookies do yt-dlp nao encontrado no servidor. Verifique YTDLP_COOKIES_FILE.';
-    }
-
-    if (error.code === 'YTDLP_AUTH_REQUIRED') {
-      return 'YouTube bloqueou esta requisicao. Configure cookies no .env (YTDLP_COOKIES_FILE) e tente novamente.';
-    }
-
-    if (error.code === 'YTDLP_CHALLENGE_FAILED') {
-      return 'YouTube bloqueou os formatos de midia. Configure YTDLP_JS_RUNTIMES e YTDLP_REMOTE_COMPONENTS no .env.';
-    }
-
-    if (error.code === 'YTDLP_FORMAT_UNAVAILABLE') {
-      return 'Este video nao liberou formatos compatíveis no momento. Tente outro video ou use /play para audio.';
-    }
+    return DOWNLOAD_ERROR_CODES.includes(error.code) ? `error.${error.code}` : 'error.download';
+  }
 
-    if (error.code === 'FILE_TOO_LARGE') {
-      return 'O arquivo final ficou muito grande para envio no WhatsApp.';
-    }
+  return WHATSAPP_ERROR_CODES.includes(error?.code) ? `error.${error.code}` : 'error.internal';
+}
 
-    return 'Erro ao baixar/converter midia com yt-dlp.';
+function mapPlayError(error, language) {
+  // Mensagem registrada por plugin vale para qualquer erro com o mesmo code, inclusive os nativos.
+  const pluginMessage = plugins.getErrorMessage(error, language);
+  if (pluginMessage) {
+    return pluginMessage;
   }
 
-  if (error?.code === 'WHATSAPP_NOT_CONNECTED') {
-    return 'WhatsApp temporariamente desconectado. Tente novamente em instantes.';
-  }
+  const key = getErrorMessageKey(error);
+  const getParams = key === `error.${error?.code}` ? ERROR_PARAMS[error.code] : null;
+  return t(language, key, getParams ? getParams(error.details || {}) : {});
+}
 
-  if (error?.code === 'WHATSAPP_SEND_AUDIO_FAILED') {
-    return 'Falha ao enviar o audio no WhatsApp.';
+// Pedido invalido, fora dos limites ou cancelado: a resposta ao usuario ja explica, sem stack no log.
+function isExpectedError(error) {
+  if (error instanceof YoutubeError) {
+    return YOUTUBE_ERROR_CODES.includes(error.code);
   }
 
-  if (error?.code === 'WHATSAPP_SEND_VIDEO_FAILED') {
-    return 'Falha ao enviar o video no WhatsApp.';
-  }
+  return error instanceof PluginError || isCancelledError(error);
+}
 
-  return 'Erro interno ao processar sua solicitacao.';
+function logUnexpectedError(message, error) {
+  if (!isExpectedError(error)) {
+    console.error(message, error);
+  }
 }
 
 function isWhatsAppSizeError(error) {
@@ -165,96 +267,201 @@ function isWhatsAppSizeError(error) {
   );
 }
 
-function setPendingSelection(chatId, payload) {
-  pendingSelections.set(chatId, {
+function getSenderId(context) {
+  return context.senderId || context.chatId;
+}
+
+// Cada participante tem sua propria sessao de selecao dentro do chat.
+function getSelectionSessionKey(context) {
+  return `${context.chatId}|${getSenderId(context)}`;
+}
+
+function isQuietChat(chatId) {
+  return stateStore.getChatSettings(chatId).quietMode ?? config.quietModeDefault;
+}
+
+function getChatLanguage(chatId) {
+  return normalizeLanguage(stateStore.getChatSettings(chatId).language) || DEFAULT_LANGUAGE;
+}
+
+// Falha ao reagir nao interrompe o pedido; a reacao e so um indicador.
+async function reactToRequest(react, emoji) {
+  if (!react) {
+    return;
+  }
+
+  try {
+    await react(emoji);
+  } catch (error) {
+    console.warn('Falha ao reagir a mensagem do pedido:', error?.message || error);
+  }
+}
+
+// Mensagens de andamento: em modo silencioso viram reacao na mensagem do pedido.
+async function notifyProgress(context, text, emoji = REACTION_QUEUED) {
+  if (isQuietChat(context.chatId)) {
+    await reactToRequest(context.react, emoji);
+    return null;
+  }
+
+  return context.replyText(text);
+}
+
+function setPendingSelection(sessionKey, payload) {
+  const pending = {
     ...payload,
+    sessionKey,
     expiresAt: Date.now() + config.selectionTimeoutSeconds * 1000
-  });
+  };
+
+  pendingSelections.set(sessionKey, pending);
+  stateStore.setSelection(sessionKey, pending);
 }
 
-function getPendingSelection(chatId) {
-  const pending = pendingSelections.get(chatId);
+function getPendingSelection(sessionKey) {
+  const pending = pendingSelections.get(sessionKey);
   if (!pending) {
     return null;
   }
 
   if (Date.now() > pending.expiresAt) {
-    pendingSelections.delete(chatId);
+    clearPendingSelection(sessionKey);
     return null;
   }
 
   return pending;
 }
 
-function clearPendingSelection(chatId) {
-  pendingSelections.delete(chatId);
+function clearPendingSelection(sessionKey) {
+  pendingSelections.delete(sessionKey);
+  stateStore.removeSelection(sessionKey);
 }
 
-function normalizeMediaToken(token) {
-  const value = String(token || '').toLowerCase();
-  if (value === 'a' || value === 'audio') {
-    return MEDIA_AUDIO;
+function findQuotedPendingSelection(context) {
+  if (!context.quotedMessageId) {
+    return null;
   }
 
-  if (value === 'v' || value === 'video') {
-    return MEDIA_VIDEO;
+  for (const [sessionKey, pending] of pendingSelections) {
+    const messageIds = [pending.resultsMessageId, pending.menuMessageId];
+    if (pending.chatId === context.chatId && messageIds.includes(context.quotedMessageId)) {
+      return getPendingSelection(sessionKey);
+    }
   }
 
   return null;
 }
 
-function parseSelectionChoice(text, defaultMediaType) {
-  const value = String(text || '').trim().toLowerCase();
-  if (!value) {
-    return null;
+function finishPendingSelection(context, pending) {
+  // Quem responde citando a lista de outra pessoa nao encerra a sessao do dono.
+  if (pending.ownerId === getSenderId(context)) {
+    clearPendingSelection(pending.sessionKey);
   }
+}
 
-  if (/^\d+$/.test(value)) {
-    return {
-      index: Number(value),
-      mediaType: defaultMediaType
-    };
-  }
+async function openSelectionSession(context, payload) {
+  const session = { ...payload, chatId: context.chatId, page: 0 };
+  const sent = await sendSelectionMenu(context, session);
+
+  setPendingSelection(getSelectionSessionKey(context), {
+    ...session,
+    ownerId: getSenderId(context),
+    resultsMessageId: sent.textMessage?.key?.id || null,
+    menuMessageId: sent.menuMessage?.key?.id || null
+  });
+}
+
+async function showSelectionPage(context, pending, direction) {
+  const current = getSelectionPage(pending);
+  const target = getSelectionPage(pending, current.page + direction);
+
+  if (target.page === current.page) {
+    const language = getChatLanguage(context.chatId);
+    const lines = [t(language, direction > 0 ? 'selection.lastPage' : 'selection.firstPage')];
 
-  const mediaFirst = value.match(/^([a-z]+)\s*(\d+)$/);
-  if (mediaFirst) {
-    const mediaType = normalizeMediaToken(mediaFirst[1]);
-    if (!mediaType) {
-      return null;
+    if (direction > 0 && current.truncated) {
+      lines.push(t(language, pending.mode === 'playlist_tracks' ? 'selection.truncatedPlaylist' : 'selection.truncated', {
+        count: current.count
+      }));
     }
 
-    return {
-      index: Number(mediaFirst[2]),
-      mediaType
-    };
+    await context.replyText(lines.join('\n'));
+    return;
   }
 
-  const indexFirst = value.match(/^(\d+)\s*([a-z]+)$/);
-  if (indexFirst) {
-    const mediaType = normalizeMediaToken(indexFirst[2]);
-    if (!mediaType) {
-      return null;
+  const updated = { ...pending, page: target.page };
+  const sent = await sendSelectionMenu(context, updated);
+
+  // Renova o prazo da sessao e passa a aceitar quote da nova pagina.
+  setPendingSelection(pending.sessionKey, {
+    ...updated,
+    resultsMessageId: sent.textMessage?.key?.id || pending.resultsMessageId,
+    menuMessageId: sent.menuMessage?.key?.id || null
+  });
+}
+
+function restorePendingSelections() {
+  for (const [sessionKey, pending] of stateStore.getSelections()) {
+    if (!pending?.sessionKey || Date.now() > pending.expiresAt) {
+      stateStore.removeSelection(sessionKey);
+      continue;
     }
 
-    return {
-      index: Number(indexFirst[1]),
-      mediaType
-    };
+    pendingSelections.set(sessionKey, pending);
   }
+}
 
-  return null;
+// Fecha o trecho pedido dentro da duracao real: sem fim explicito, vai ate o final do video.
+function resolveClip(clip, durationSeconds) {
+  if (!clip) {
+    return null;
+  }
+
+  const duration = Number(durationSeconds) || 0;
+  const endSeconds = clip.endSeconds === null ? duration : Math.min(clip.endSeconds, duration);
+
+  if (clip.startSeconds >= duration) {
+    throw new YoutubeError('CLIP_OUT_OF_RANGE', 'Trecho fora da duracao do video.', {
+      durationSeconds: duration
+    });
+  }
+
+  return {
+    startSeconds: clip.startSeconds,
+    endSeconds
+  };
 }
 
-function getVideoSupport(video) {
+function getMediaDuration(video, clip) {
   const duration = Number(video?.durationSeconds) || 0;
+  if (!clip || duration <= 0) {
+    return duration;
+  }
+
+  try {
+    const resolved = resolveClip(clip, duration);
+    return resolved.endSeconds - resolved.startSeconds;
+  } catch {
+    return 0;
+  }
+}
+
+function formatClipRange(clip, separator = ':') {
+  const start = formatSeconds(Math.floor(clip.startSeconds));
+  const end = formatSeconds(Math.ceil(clip.endSeconds));
+  return `${start}-${end}`.replace(/:/g, separator);
+}
+
+function getVideoSupport(video, clip = null) {
+  const duration = getMediaDuration(video, clip);
   return {
     audio: duration > 0 && duration <= config.maxAudioDuration,
     video: duration > 0 && duration <= config.maxVideoDuration
   };
 }
 
-function getVideoSupportLabel(video) {
-  const support = getVideoSupport(video);
+function getVideoSupportLabel(video, clip = null) {
+  const support = getVideoSupport(video, clip);
 
   if (support.audio && support.video) {
     return 'A/V';
@@ -271,288 +478,1788 @@ function getVideoSupportLabel(video) {
   return '-';
 }
 
-function assertDurationForMedia(video, mediaType) {
-  const duration = Number(video?.durationSeconds) || 0;
-  const limit = mediaType === MEDIA_VIDEO ? config.maxVideoDuration : config.maxAudioDuration;
+function getDurationLimit(mediaType) {
+  if (mediaType === MEDIA_VIDEO) {
+    return { limit: config.maxVideoDuration, code: 'VIDEO_DURATION_LIMIT' };
+  }
+
+  if (mediaType === MEDIA_VOICE) {
+    return { limit: config.maxVoiceDuration, code: 'VOICE_DURATION_LIMIT' };
+  }
 
-  if (!duration || duration <= 0) {
+  return { limit: config.maxAudioDuration, code: 'AUDIO_DURATION_LIMIT' };
+}
+
+function assertDurationForMedia(video, mediaType, clip = null) {
+  const fullDuration = Number(video?.durationSeconds) || 0;
+  const { limit, code } = getDurationLimit(mediaType);
+
+  if (!fullDuration || fullDuration <= 0) {
     throw new YoutubeError('INVALID_DURATION', 'Nao foi possivel determinar a duracao do video.');
   }
 
+  const resolvedClip = resolveClip(clip, fullDuration);
+  const duration = resolvedClip ? resolvedClip.endSeconds - resolvedClip.startSeconds : fullDuration;
+
   if (duration > limit) {
     throw new YoutubeError(
-      mediaType === MEDIA_VIDEO ? 'VIDEO_DURATION_LIMIT' : 'AUDIO_DURATION_LIMIT',
+      code,
       'Duracao acima do limite permitido.',
       { durationSeconds: duration, maxDurationSeconds: limit }
     );
   }
 }
 
-function formatSearchOptionLine(option, index) {
+function formatSearchOptionLine(option, index, clip, language) {
   if (option.kind === 'playlist') {
-    return `${index}. [Playlist] ${option.title} - ${option.author} (${option.videoCount} videos)`;
+    return t(language, 'selection.playlistLine', {
+      index,
+      title: option.title,
+      author: option.author,
+      count: option.videoCount
+    });
   }
 
-  const supportLabel = getVideoSupportLabel(option);
-  return `${index}. [Video ${supportLabel}] ${option.title} - ${option.author} (${option.durationText})`;
+  return t(language, 'selection.videoLine', {
+    index,
+    support: getVideoSupportLabel(option, clip),
+    title: option.title,
+    author: option.author,
+    duration: option.durationText
+  });
 }
 
-function buildSelectionInstructions(defaultMediaType) {
+function buildSelectionInstructions(defaultMediaType, audioFormat, language) {
+  const format = resolveAudioFormat({ audioFormat }).label;
+
   return [
-    `${bold('Selecao')}: responda com o numero da opcao.`,
-    `${mono('a+numero')} para audio MP3 (ex: ${mono('a1')})`,
-    `${mono('v+numero')} para video compacto (ex: ${mono('v1')})`,
-    `Somente numero usa o padrao: ${getDefaultMediaLabel(defaultMediaType)}.`,
-    `Tempo limite: ${config.selectionTimeoutSeconds}s.`,
-    `${mono('/cancel')} para cancelar.`
+    t(language, 'selection.howTo'),
+    t(language, 'selection.howTo.audio', { format }),
+    t(language, 'selection.howTo.video'),
+    t(language, 'selection.howTo.voice'),
+    t(language, 'selection.howTo.karaoke'),
+    t(language, 'selection.howTo.default', { media: getDefaultMediaLabel(defaultMediaType, language, audioFormat) }),
+    t(language, 'selection.howTo.preview'),
+    t(language, 'selection.howTo.multi'),
+    t(language, 'selection.howTo.timeout', { seconds: config.selectionTimeoutSeconds }),
+    t(language, 'selection.howTo.cancel')
   ];
 }
 
-function buildSearchOptionsText(query, options, defaultMediaType) {
-  const lines = [`🔎 ${bold('Resultados')}`, `${bold('Busca')}: ${query}`, ''];
+function getSelectionPage(pending, page = pending.page || 0) {
+  const pageSize = pending.pageSize || pending.options.length || 1;
+  const totalPages = Math.max(1, Math.ceil(pending.options.length / pageSize));
+  const boundedPage = Math.max(0, Math.min(page, totalPages - 1));
+  const start = boundedPage * pageSize;
+
+  return {
+    page: boundedPage,
+    totalPages,
+    start,
+    end: Math.min(pending.options.length, start + pageSize),
+    count: pending.options.length,
+    truncated: Boolean(pending.truncated)
+  };
+}
+
+function isLastSelectionPage(pageInfo) {
+  return pageInfo.page === pageInfo.totalPages - 1;
+}
+
+function buildPageFooter(pageInfo, language, truncatedKey = 'selection.truncated') {
+  const lines = [];
+
+  if (pageInfo.totalPages > 1) {
+    lines.push(t(language, 'selection.page', { page: pageInfo.page + 1, total: pageInfo.totalPages }));
+  }
+
+  if (pageInfo.truncated && isLastSelectionPage(pageInfo)) {
+    lines.push(t(language, truncatedKey, { count: pageInfo.count }));
+  }
+
+  return lines;
+}
+
+function buildClipHeader(clip, language) {
+  if (!clip) {
+    return [];
+  }
+
+  const end = clip.endSeconds === null ? t(language, 'selection.clipEnd') : formatSeconds(Math.ceil(clip.endSeconds));
+  return [t(language, 'selection.clip', { start: formatSeconds(Math.floor(clip.startSeconds)), end })];
+}
+
+function buildSearchOptionsText(query, options, defaultMediaType, audioFormat, pageInfo, clip, language) {
+  const lines = [
+    t(language, 'selection.results'),
+    t(language, 'selection.query', { query }),
+    ...buildClipHeader(clip, language),
+    ''
+  ];
 
-  options.forEach((option, index) => {
-    lines.push(formatSearchOptionLine(option, index + 1));
+  options.slice(pageInfo.start, pageInfo.end).forEach((option, offset) => {
+    lines.push(formatSearchOptionLine(option, pageInfo.start + offset + 1, clip, language));
   });
 
   lines.push('');
-  lines.push(...buildSelectionInstructions(defaultMediaType));
+  lines.push(...buildPageFooter(pageInfo, language));
+  lines.push(...buildSelectionInstructions(defaultMediaType, audioFormat, language));
 
   return lines.join('\n');
 }
 
-function buildPlaylistOptionsText(playlist, options, defaultMediaType) {
+function buildPlaylistOptionsText(playlist, options, defaultMediaType, audioFormat, pageInfo, clip, language) {
   const lines = [
-    `📚 ${bold('Playlist')}: ${playlist.title}`,
-    `${bold('Canal')}: ${playlist.author}`,
+    t(language, 'selection.playlist', { title: playlist.title }),
+    t(language, 'selection.channel', { author: playlist.author }),
+    ...buildClipHeader(clip, language),
     ''
   ];
 
-  options.forEach((option, index) => {
-    const supportLabel = getVideoSupportLabel(option);
-    lines.push(`${index + 1}. [${supportLabel}] ${option.title} - ${option.author} (${option.durationText})`);
+  options.slice(pageInfo.start, pageInfo.end).forEach((option, offset) => {
+    lines.push(t(language, 'selection.trackLine', {
+      index: pageInfo.start + offset + 1,
+      support: getVideoSupportLabel(option, clip),
+      title: option.title,
+      author: option.author,
+      duration: option.durationText
+    }));
   });
 
   lines.push('');
-  lines.push(...buildSelectionInstructions(defaultMediaType));
+  lines.push(...buildPageFooter(pageInfo, language, 'selection.truncatedPlaylist'));
+  lines.push(...buildSelectionInstructions(defaultMediaType, audioFormat, language));
 
   return lines.join('\n');
 }
 
-async function enqueueMediaJob(context, video, mediaType) {
-  const { position, promise } = queue.add(() =>
-    processSelectedMedia({
-      video,
-      mediaType,
-      replyText: context.replyText,
-      replyAudio: context.replyAudio,
-      replyVideo: context.replyVideo
-    })
-  );
-
-  await context.replyText(`⏳ ${bold('Pedido recebido')}\nPosicao na fila: ${position}`);
+function buildChaptersOptionsText(video, options, defaultMediaType, audioFormat, pageInfo, language) {
+  const lines = [
+    t(language, 'selection.chapters', { title: video.title }),
+    t(language, 'selection.channel', { author: video.author }),
+    ''
+  ];
 
-  promise.catch((error) => {
-    console.error('Erro nao tratado no job da fila:', error);
+  options.slice(pageInfo.start, pageInfo.end).forEach((option, offset) => {
+    lines.push(t(language, 'selection.chapterLine', {
+      index: pageInfo.start + offset + 1,
+      support: getVideoSupportLabel(option),
+      title: option.title,
+      duration: option.durationText,
+      start: formatSeconds(Math.floor(option.chapter.startSeconds))
+    }));
   });
-}
 
-async function processSelectedMedia({ video, mediaType, replyText, replyAudio, replyVideo }) {
-  let outputFile = null;
+  lines.push('');
+  lines.push(...buildPageFooter(pageInfo, language));
+  lines.push(...buildSelectionInstructions(defaultMediaType, audioFormat, language));
 
-  try {
-    if (mediaType === MEDIA_VIDEO) {
-      await replyText(`⬇️ ${bold('Baixando video compacto')}\n${video.title} (${video.durationText})`);
-
-      const downloadResult = await downloadVideo(video, {
-        downloadPath: config.downloadPath,
-        maxFileSize: config.maxVideoFileSize,
-        ytDlpCookiesFile: config.ytDlpCookiesFile,
-        ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
-        ytDlpExtractorArgs: config.ytDlpExtractorArgs,
-        ytDlpJsRuntimes: config.ytDlpJsRuntimes,
-        ytDlpRemoteComponents: config.ytDlpRemoteComponents,
-        ytDlpConcurrentFragments: config.ytDlpConcurrentFragments,
-        videoMaxHeight: config.videoMaxHeight,
-        videoCrf: config.videoCrf,
-        videoAudioBitrateKbps: config.videoAudioBitrateKbps
-      });
+  return lines.join('\n');
+}
 
-      outputFile = downloadResult.filePath;
+function buildSelectionText(pending, language) {
+  const pageInfo = getSelectionPage(pending);
+  const clip = pending.requestOptions?.clip || null;
+  const audioFormat = getRequestAudioFormat(pending.chatId, pending.requestOptions);
+  const { defaultMediaType } = pending;
 
-      try {
-        await replyVideo(outputFile, `🎬 ${video.title}`);
-      } catch (sendError) {
-        if (isWhatsAppSizeError(sendError)) {
-          throw new DownloadError('FILE_TOO_LARGE', 'Arquivo excede o limite de envio do WhatsApp.');
-        }
+  if (pending.mode === 'chapters') {
+    return buildChaptersOptionsText(pending.video, pending.options, defaultMediaType, audioFormat, pageInfo, language);
+  }
 
-        sendError.code = 'WHATSAPP_SEND_VIDEO_FAILED';
-        throw sendError;
-      }
+  if (pending.mode === 'playlist_tracks') {
+    return buildPlaylistOptionsText(pending.playlist, pending.options, defaultMediaType, audioFormat, pageInfo, clip, language);
+  }
 
-      await replyText(`✅ ${bold('Video enviado com sucesso.')}`);
-      return;
-    }
+  return buildSearchOptionsText(pending.query, pending.options, defaultMediaType, audioFormat, pageInfo, clip, language);
+}
 
-    await replyText(`⬇️ ${bold('Baixando audio')}\n${video.title} (${video.durationText})`);
-
-    const downloadResult = await downloadAudio(video, {
-      downloadPath: config.downloadPath,
-      maxFileSize: config.maxAudioFileSize,
-      ytDlpCookiesFile: config.ytDlpCookiesFile,
-      ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
-      ytDlpExtractorArgs: config.ytDlpExtractorArgs,
-      ytDlpJsRuntimes: config.ytDlpJsRuntimes,
-      ytDlpRemoteComponents: config.ytDlpRemoteComponents,
-      audioBitrateKbps: config.audioBitrateKbps,
-      audioChannels: config.audioChannels,
-      audioSampleRate: config.audioSampleRate,
-      audioQuality: config.audioQuality,
-      ytDlpConcurrentFragments: config.ytDlpConcurrentFragments
-    });
+// Limites de texto do WhatsApp para listas; acima disso o cliente corta ou recusa a mensagem.
+const LIST_TITLE_MAX_LENGTH = 24;
+const LIST_DESCRIPTION_MAX_LENGTH = 72;
 
-    outputFile = downloadResult.filePath;
+function truncateText(text, maxLength) {
+  const value = String(text || '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
 
-    try {
-      await replyAudio(outputFile, `🎵 ${video.title}`);
-    } catch (sendError) {
-      if (isWhatsAppSizeError(sendError)) {
-        throw new DownloadError('FILE_TOO_LARGE', 'Arquivo excede o limite de envio do WhatsApp.');
-      }
+function buildSelectionRows(option, index, clip, language) {
+  if (option.kind === 'playlist') {
+    return [{
+      title: t(language, 'list.tracks'),
+      description: truncateText(
+        t(language, 'list.playlistDescription', { author: option.author, count: option.videoCount }),
+        LIST_DESCRIPTION_MAX_LENGTH
+      ),
+      rowId: String(index)
+    }];
+  }
 
-      sendError.code = 'WHATSAPP_SEND_AUDIO_FAILED';
-      throw sendError;
-    }
+  const support = getVideoSupport(option, clip);
+  const description = truncateText(`${option.author} • ${option.durationText}`, LIST_DESCRIPTION_MAX_LENGTH);
+  const rows = [];
 
-    await replyText(`✅ ${bold('Audio enviado com sucesso.')}`);
-  } catch (error) {
-    console.error('Erro no processamento da midia:', error);
-    await replyText(`❌ ${mapPlayError(error)}`);
-  } finally {
-    // Sempre remove o arquivo temporario para evitar acumulo no servidor.
-    await safeUnlink(outputFile);
+  if (support.audio) {
+    rows.push({ title: t(language, 'list.audio'), description, rowId: `a${index}` });
+  }
+
+  if (support.video) {
+    rows.push({ title: t(language, 'list.video'), description, rowId: `v${index}` });
   }
+
+  return rows;
 }
 
-async function showPlaylistTracks(context, playlistInput, defaultMediaType) {
-  await context.replyText(`📚 ${bold('Carregando itens da playlist...')}`);
+// Cada linha carrega como id o mesmo texto que a pessoa digitaria, entao o toque cai no fluxo normal.
+function buildSelectionList(pending, language) {
+  const pageInfo = getSelectionPage(pending);
+  const clip = pending.mode === 'chapters' ? null : pending.requestOptions?.clip || null;
+  const sections = [];
 
-  const { playlist, videoOptions } = await getPlaylistOptions(playlistInput, {
-    maxDurationSeconds: getMaxSearchDuration(),
-    maxPlaylistItems: config.maxPlaylistItems
-  });
+  pending.options.slice(pageInfo.start, pageInfo.end).forEach((option, offset) => {
+    const index = pageInfo.start + offset + 1;
+    const rows = buildSelectionRows(option, index, clip, language);
 
-  setPendingSelection(context.chatId, {
-    mode: 'playlist_tracks',
-    playlist,
-    options: videoOptions,
-    defaultMediaType
+    if (rows.length > 0) {
+      sections.push({ title: truncateText(`${index}. ${option.title}`, LIST_TITLE_MAX_LENGTH), rows });
+    }
   });
 
-  await context.replyText(buildPlaylistOptionsText(playlist, videoOptions, defaultMediaType));
-}
+  const navigation = [];
+  if (pageInfo.page < pageInfo.totalPages - 1) {
+    navigation.push({ title: t(language, 'list.next'), rowId: 'next' });
+  }
 
-async function handlePlayCommand(context, query, defaultMediaType) {
-  clearPendingSelection(context.chatId);
+  if (pageInfo.page > 0) {
+    navigation.push({ title: t(language, 'list.prev'), rowId: 'prev' });
+  }
 
-  if (isLikelyUrl(query)) {
-    await context.replyText(`🔎 ${bold('Validando link...')}`);
+  if (navigation.length > 0) {
+    sections.push({ title: t(language, 'list.pages'), rows: navigation });
+  }
 
+  return {
+    text: t(language, 'list.body'),
+    buttonText: t(language, 'list.button'),
+    footer: t(language, 'list.footer'),
+    sections
+  };
+}
+
+// A lista numerada em texto sempre vai: o WhatsApp aceita listMessage mesmo em clientes
+// que nao conseguem exibi-la, entao o menu interativo e so um complemento opcional.
+async function sendSelectionMenu(context, pending) {
+  const language = getChatLanguage(context.chatId);
+  const textMessage = await context.replyText(buildSelectionText(pending, language));
+  let menuMessage = null;
+
+  if (config.interactiveMenus && context.replyList) {
     try {
-      const video = await getVideoFromInput(query, getMaxSearchDuration());
-      assertDurationForMedia(video, defaultMediaType);
-      await enqueueMediaJob(context, video, defaultMediaType);
-      return;
+      menuMessage = await context.replyList(buildSelectionList(pending, language));
     } catch (error) {
-      if (error instanceof YoutubeError && error.code === 'PLAYLIST_URL_DETECTED') {
-        await showPlaylistTracks(context, query, defaultMediaType);
-        return;
-      }
-
-      throw error;
+      console.warn('Falha ao enviar menu interativo:', error?.message || error);
     }
   }
 
-  await context.replyText(`🔎 ${bold('Buscando opcoes no YouTube...')}`);
-
-  const options = await searchMediaOptions(query, {
-    maxDurationSeconds: getMaxSearchDuration(),
-    maxVideoResults: config.maxSearchOptions,
-    maxPlaylistResults: config.maxSearchOptions,
-    maxTotalOptions: config.maxSearchOptions
-  });
+  return { textMessage, menuMessage };
+}
 
-  setPendingSelection(context.chatId, {
-    mode: 'search_results',
-    query,
-    options,
-    defaultMediaType
-  });
+function formatQueuePosition({ position, started }, language) {
+  return started ? t(language, 'job.running') : t(language, 'job.position', { position });
+}
 
-  await context.replyText(buildSearchOptionsText(query, options, defaultMediaType));
+// Nota de voz e um job de audio para os limites de workers da fila.
+function getWorkerType(mediaType) {
+  return mediaType === MEDIA_VIDEO ? 'video' : 'audio';
 }
 
-async function handlePendingSelection(context, pending, selection) {
-  const { index, mediaType } = selection;
-  const option = pending.options[index - 1];
+function runStoredJob(context, job, signal) {
+  const onStatusChange = (status) => {
+    stateStore.updateJob(job.id, { status });
+  };
 
-  if (!option) {
-    await context.replyText(`⚠️ ${bold('Opcao invalida')}. Escolha um numero entre 1 e ${pending.options.length}.`);
-    return;
+  if (job.mediaType === MEDIA_PREVIEW) {
+    return sendSelectionPreview(context, job.video, job.options.index, { signal, onStatusChange });
   }
 
-  if (pending.mode === 'search_results') {
-    if (option.kind === 'playlist') {
-      clearPendingSelection(context.chatId);
-      await showPlaylistTracks(context, option.url, mediaType);
+  return processSelectedMedia({
+    context,
+    video: job.video,
+    mediaType: job.mediaType,
+    jobOptions: job.options || {},
+    signal,
+    onStatusChange,
+    quiet: isQuietChat(job.chatId),
+    react: context.react,
+    replyText: context.replyText,
+    editText: context.editText,
+    replyAudio: context.replyAudio,
+    replyVideo: context.replyVideo,
+    replyStoredMedia: context.replyStoredMedia
+  });
+}
+
+function scheduleStoredJob(context, job) {
+  const { position, started, promise } = queue.add(async ({ signal }) => {
+    try {
+      await runStoredJob(context, job, signal);
+    } finally {
+      stateStore.removeJob(job.id);
+    }
+  }, { id: job.id, chatId: job.chatId, type: getWorkerType(job.mediaType) });
+
+  promise.catch((error) => {
+    if (error?.code === 'JOB_REMOVED') {
       return;
     }
 
-    assertDurationForMedia(option, mediaType);
-    clearPendingSelection(context.chatId);
-    await enqueueMediaJob(context, option, mediaType);
-    return;
-  }
+    console.error('Erro nao tratado no job da fila:', error);
+  });
 
-  if (pending.mode === 'playlist_tracks') {
-    assertDurationForMedia(option, mediaType);
-    clearPendingSelection(context.chatId);
-    await enqueueMediaJob(context, option, mediaType);
+  return { position, started };
+}
+
+function getSupportedAudioFormats() {
+  return Object.keys(AUDIO_FORMATS);
+}
+
+// Formato pedido com --format ou, sem ele, o padrao do chat.
+function getRequestAudioFormat(chatId, requestOptions = {}) {
+  return requestOptions?.audioFormat || getChatAudioFormat(chatId);
+}
+
+function getChatAudioFormat(chatId) {
+  const chatFormat = stateStore.getChatSettings(chatId).audioFormat;
+  if (getAudioFormat(chatFormat)) {
+    return chatFormat;
   }
+
+  return getAudioFormat(config.audioFormat) ? config.audioFormat : 'mp3';
 }
 
-async function handleIncomingCommand(context) {
-  const { chatId, text, replyText, quotedText } = context;
-  const normalizedText = text.trim();
-  const pending = getPendingSelection(chatId);
-  const parsed = parseCommand(normalizedText);
+function parseRequestOptions(flags, language) {
+  const requestOptions = {};
 
-  if (parsed.type === 'cancel') {
-    if (!pending) {
-      await replyText(`ℹ️ ${bold('Nao existe selecao pendente para cancelar.')}`);
-      return;
+  if (flags.format !== undefined) {
+    const audioFormat = String(flags.format).toLowerCase();
+    if (!getAudioFormat(audioFormat)) {
+      return {
+        requestOptions,
+        error: t(language, 'options.invalidFormat', { formats: getSupportedAudioFormats().map(mono).join(', ') })
+      };
     }
 
-    clearPendingSelection(chatId);
-    await replyText(`❎ ${bold('Selecao cancelada.')}`);
-    return;
+    requestOptions.audioFormat = audioFormat;
   }
 
-  if (pending) {
-    const selection = parseSelectionChoice(normalizedText, pending.defaultMediaType || MEDIA_AUDIO);
-    if (selection) {
-      try {
+  if (flags.quality !== undefined) {
+    const videoHeight = getVideoHeight(flags.quality);
+    if (!videoHeight) {
+      return {
+        requestOptions,
+        error: t(language, 'options.invalidQuality', {
+          heights: formatVideoHeights(VIDEO_HEIGHTS.filter((height) => height <= config.videoQualityMaxHeight))
+        })
+      };
+    }
+
+    requestOptions.videoHeight = videoHeight;
+  }
+
+  if (flags.fx !== undefined) {
+    const parsedEffects = flags.fx === true ? null : parseAudioEffects(flags.fx);
+    if (!parsedEffects) {
+      return {
+        requestOptions,
+        error: t(language, 'options.invalidEffect', { effects: AUDIO_EFFECT_NAMES.map(mono).join(', ') })
+      };
+    }
+
+    requestOptions.effects = parsedEffects.effects;
+    if (parsedEffects.normalize !== null) {
+      requestOptions.normalize = parsedEffects.normalize;
+    }
+  }
+
+  if (flags.split !== undefined) {
+    // "--split" sozinho liga; "--split off" desliga mesmo com SPLIT_OVERSIZED_MEDIA=true.
+    const value = String(flags.split).toLowerCase();
+    requestOptions.split = flags.split === true || !['0', 'false', 'off', 'no', 'nao'].includes(value);
+  }
+
+  if (flags.start !== undefined || flags.end !== undefined) {
+    const startSeconds = flags.start === undefined ? 0 : parseTimeInput(flags.start);
+    const endSeconds = flags.end === undefined ? null : parseTimeInput(flags.end);
+
+    if (startSeconds === null || (flags.end !== undefined && endSeconds === null)) {
+      return {
+        requestOptions,
+        error: t(language, 'options.invalidTime')
+      };
+    }
+
+    if (endSeconds !== null && endSeconds <= startSeconds) {
+      return { requestOptions, error: t(language, 'options.endBeforeStart') };
+    }
+
+    requestOptions.clip = { startSeconds, endSeconds };
+  }
+
+  return { requestOptions, error: null };
+}
+
+function formatVideoHeights(heights) {
+  return heights.map((height) => `${height}p`).join(', ');
+}
+
+// Maximo definido pelos admins do chat, nunca acima do teto global.
+function getChatVideoMaxHeight(chatId) {
+  const chatMaxHeight = Number(stateStore.getChatSettings(chatId).videoMaxHeight) || config.videoQualityMaxHeight;
+  return Math.min(chatMaxHeight, config.videoQualityMaxHeight);
+}
+
+function getDefaultVideoHeight(chatId) {
+  return Math.min(config.videoMaxHeight, getChatVideoMaxHeight(chatId));
+}
+
+// Pedidos antigos (antes da escolha de resolucao) seguem o padrao global.
+function getJobVideoHeight(jobOptions = {}) {
+  return jobOptions.videoHeight || config.videoMaxHeight;
+}
+
+function buildYtDlpLookupOptions() {
+  return {
+    ytDlpCookiesFile: config.ytDlpCookiesFile,
+    ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
+    ytDlpExtractorArgs: config.ytDlpExtractorArgs,
+    ytDlpJsRuntimes: config.ytDlpJsRuntimes,
+    ytDlpRemoteComponents: config.ytDlpRemoteComponents
+  };
+}
+
+// Resolucao pedida explicitamente e conferida contra o limite do chat e os formatos do video.
+async function assertVideoQuality(context, video, mediaType, requestOptions = {}) {
+  if (mediaType !== MEDIA_VIDEO || !requestOptions.videoHeight) {
+    return;
+  }
+
+  const maxHeight = getChatVideoMaxHeight(context.chatId);
+  if (requestOptions.videoHeight > maxHeight) {
+    throw new YoutubeError('QUALITY_ABOVE_LIMIT', 'Resolucao acima do limite do chat.', { maxHeight });
+  }
+
+  const available = await fetchVideoHeights(video, buildYtDlpLookupOptions());
+  if (!available.includes(requestOptions.videoHeight)) {
+    throw new YoutubeError('QUALITY_UNAVAILABLE', 'Resolucao indisponivel para o video.', {
+      height: requestOptions.videoHeight,
+      available: available.filter((height) => height <= maxHeight)
+    });
+  }
+}
+
+// Resolve as opcoes no momento do pedido para que jobs retomados mantenham o que foi pedido.
+function resolveJobOptions(context, video, mediaType, requestOptions = {}) {
+  const jobOptions = {
+    audioFormat: getRequestAudioFormat(context.chatId, requestOptions),
+    split: requestOptions.split ?? config.splitOversizedMedia
+  };
+
+  if (mediaType === MEDIA_VIDEO) {
+    jobOptions.videoHeight = requestOptions.videoHeight || getDefaultVideoHeight(context.chatId);
+  } else {
+    jobOptions.effects = requestOptions.effects || [];
+    jobOptions.normalize = requestOptions.normalize ?? config.audioNormalize;
+  }
+
+  if (requestOptions.clip) {
+    jobOptions.clip = resolveClip(requestOptions.clip, video.durationSeconds);
+  }
+
+  return jobOptions;
+}
+
+async function handleFormatCommand(context, value) {
+  const language = getChatLanguage(context.chatId);
+  const formats = getSupportedAudioFormats().map(mono).join(', ');
+
+  if (!value) {
+    await context.replyText([
+      t(language, 'format.current', { format: getAudioFormat(getChatAudioFormat(context.chatId)).label }),
+      t(language, 'format.change', { formats }),
+      t(language, 'format.perRequest')
+    ].join('\n'));
+    return;
+  }
+
+  if (!getAudioFormat(value)) {
+    await context.replyText(t(language, 'format.invalid', { formats }));
+    return;
+  }
+
+  if (!(await context.isSenderAdmin())) {
+    await context.replyText(t(language, 'format.adminOnly'));
+    return;
+  }
+
+  stateStore.updateChatSettings(context.chatId, { audioFormat: value });
+  await context.replyText(t(language, 'format.updated', { format: getAudioFormat(value).label }));
+}
+
+async function handleMaxQualityCommand(context, value) {
+  const language = getChatLanguage(context.chatId);
+  const allowedHeights = VIDEO_HEIGHTS.filter((height) => height <= config.videoQualityMaxHeight);
+
+  if (!value) {
+    await context.replyText([
+      t(language, 'maxquality.current', { height: getChatVideoMaxHeight(context.chatId) }),
+      t(language, 'maxquality.default', { height: getDefaultVideoHeight(context.chatId) }),
+      t(language, 'maxquality.change', { heights: formatVideoHeights(allowedHeights) })
+    ].join('\n'));
+    return;
+  }
+
+  if (!(await context.isSenderAdmin())) {
+    await context.replyText(t(language, 'maxquality.adminOnly'));
+    return;
+  }
+
+  if (['off', 'padrao', 'padrão', 'default', 'reset'].includes(value)) {
+    stateStore.updateChatSettings(context.chatId, { videoMaxHeight: null });
+    await context.replyText(t(language, 'maxquality.reset', { height: getChatVideoMaxHeight(context.chatId) }));
+    return;
+  }
+
+  const height = getVideoHeight(value);
+  if (!height || !allowedHeights.includes(height)) {
+    await context.replyText(t(language, 'maxquality.invalid', { heights: formatVideoHeights(allowedHeights) }));
+    return;
+  }
+
+  stateStore.updateChatSettings(context.chatId, { videoMaxHeight: height });
+  await context.replyText(t(language, 'maxquality.updated', { height }));
+}
+
+async function handleQuietCommand(context, value) {
+  const language = getChatLanguage(context.chatId);
+  const formatState = (enabled) => t(language, enabled ? 'quiet.on' : 'quiet.off');
+
+  if (!value) {
+    await context.replyText([
+      t(language, 'quiet.current', { state: formatState(isQuietChat(context.chatId)) }),
+      t(language, 'quiet.explain', {
+        reactions: `${REACTION_QUEUED} ${REACTION_DOWNLOADING} ${REACTION_DONE}/${REACTION_FAILED}`
+      }),
+      t(language, 'quiet.change')
+    ].join('\n'));
+    return;
+  }
+
+  const enabled = ['on', 'sim', 'si', 'yes'].includes(value)
+    ? true
+    : ['off', 'nao', 'não', 'no'].includes(value) ? false : null;
+  if (enabled === null) {
+    await context.replyText(t(language, 'quiet.invalid'));
+    return;
+  }
+
+  if (!(await context.isSenderAdmin())) {
+    await context.replyText(t(language, 'quiet.adminOnly'));
+    return;
+  }
+
+  stateStore.updateChatSettings(context.chatId, { quietMode: enabled });
+  await context.replyText(t(language, 'quiet.updated', { state: formatState(enabled) }));
+}
+
+async function handleLanguageCommand(context, value) {
+  const current = getChatLanguage(context.chatId);
+  const languages = LANGUAGES.map((language) => `${mono(language)} (${getLanguageLabel(language)})`).join(', ');
+
+  if (!value) {
+    await context.replyText([
+      t(current, 'lang.current', { language: getLanguageLabel(current) }),
+      t(current, 'lang.available', { languages }),
+      t(current, 'lang.change')
+    ].join('\n'));
+    return;
+  }
+
+  const language = normalizeLanguage(value);
+  if (!language) {
+    await context.replyText(t(current, 'lang.invalid', { languages }));
+    return;
+  }
+
+  if (!(await context.isSenderAdmin())) {
+    await context.replyText(t(current, 'lang.adminOnly'));
+    return;
+  }
+
+  stateStore.updateChatSettings(context.chatId, { language });
+  // A confirmacao ja sai no idioma escolhido.
+  await context.replyText(t(language, 'lang.updated', { language: getLanguageLabel(language) }));
+}
+
+function scheduleMediaJob(context, video, mediaType, requestOptions = {}) {
+  const job = stateStore.addJob({
+    chatId: context.chatId,
+    requesterId: getSenderId(context),
+    messageKey: context.messageKey || null,
+    video,
+    mediaType,
+    options: resolveJobOptions(context, video, mediaType, requestOptions)
+  });
+
+  return scheduleStoredJob(context, job);
+}
+
+async function enqueueMediaJob(context, video, mediaType, requestOptions = {}) {
+  const queueState = scheduleMediaJob(context, video, mediaType, requestOptions);
+  const language = getChatLanguage(context.chatId);
+
+  await notifyProgress(context, t(language, 'job.received', { position: formatQueuePosition(queueState, language) }));
+}
+
+async function resumeStoredJobs() {
+  const jobs = stateStore.getUnfinishedJobs();
+  if (jobs.length === 0) {
+    return;
+  }
+
+  console.log(`Retomando ${jobs.length} pedido(s) pendente(s) da execucao anterior.`);
+
+  for (const job of jobs) {
+    // A lista que originou a previa ja expirou; nao faz sentido tocar a previa depois do reinicio.
+    if (job.mediaType === MEDIA_PREVIEW) {
+      stateStore.removeJob(job.id);
+      continue;
+    }
+
+    stateStore.updateJob(job.id, { status: JOB_STATUS_WAITING });
+
+    const context = createChatContext(job.chatId, undefined, job.messageKey || null);
+    const queueState = scheduleStoredJob(context, job);
+    const language = getChatLanguage(job.chatId);
+
+    try {
+      await notifyProgress(context, t(language, 'job.resumed', {
+        title: job.video.title,
+        position: formatQueuePosition(queueState, language)
+      }));
+    } catch (error) {
+      console.error(`Falha ao avisar retomada do pedido no chat ${job.chatId}:`, error);
+    }
+  }
+}
+
+function getChatQueueEntries(chatId) {
+  return queue.list()
+    .filter((entry) => entry.chatId === chatId)
+    .map((entry) => ({
+      ...entry,
+      job: stateStore.getJob(entry.id)
+    }))
+    .filter((entry) => entry.job);
+}
+
+function buildQueueText(entries, language) {
+  if (entries.length === 0) {
+    return t(language, 'queue.empty');
+  }
+
+  const lines = [t(language, 'queue.title'), ''];
+
+  entries.forEach((entry, index) => {
+    const statusLabel = t(language, `queue.${entry.job.status}`);
+    const positionLabel = entry.running
+      ? statusLabel
+      : t(language, 'queue.statusPosition', { status: statusLabel, position: entry.position });
+    const mediaLabel = getDefaultMediaLabel(entry.job.mediaType, language, entry.job.options?.audioFormat);
+    lines.push(`${index + 1}. [${positionLabel}] ${entry.job.video.title} (${mediaLabel})`);
+  });
+
+  lines.push('');
+  lines.push(t(language, 'queue.removeHint'));
+  lines.push(t(language, 'queue.cancelHint'));
+
+  return lines.join('\n');
+}
+
+async function handleRemoveCommand(context, index) {
+  const language = getChatLanguage(context.chatId);
+  const entries = getChatQueueEntries(context.chatId);
+  const entry = entries[index - 1];
+
+  if (!entry) {
+    await context.replyText(t(language, 'remove.invalid'));
+    return;
+  }
+
+  if (entry.running) {
+    await context.replyText(t(language, 'remove.running'));
+    return;
+  }
+
+  // Mesmo criterio do /cancel; admins do grupo podem tirar pedidos de qualquer um.
+  const isRequester = (entry.job.requesterId || context.chatId) === getSenderId(context);
+  if (!isRequester && !(await context.isSenderAdmin())) {
+    await context.replyText(t(language, 'remove.notOwner'));
+    return;
+  }
+
+  if (!queue.remove(entry.id)) {
+    await context.replyText(t(language, 'remove.notWaiting'));
+    return;
+  }
+
+  stateStore.removeJob(entry.id);
+  await context.replyText(t(language, 'remove.done', { title: entry.job.video.title }));
+}
+
+function abortRunningJobs(context) {
+  const senderId = getSenderId(context);
+
+  return getChatQueueEntries(context.chatId)
+    .filter((entry) => entry.running && (entry.job.requesterId || context.chatId) === senderId)
+    .filter((entry) => queue.abort(entry.id))
+    .map((entry) => entry.job);
+}
+
+function formatProgressLine(progress, language) {
+  const parts = [];
+
+  if (progress.stage === 'convert') {
+    parts.push(t(language, 'progress.converting'));
+
+    if (progress.percent !== null) {
+      parts.push(`${Math.floor(progress.percent)}%`);
+    }
+
+    if (progress.encodedSeconds !== null && progress.totalSeconds > 0) {
+      parts.push(t(language, 'progress.encoded', {
+        done: formatSeconds(Math.floor(progress.encodedSeconds)),
+        total: formatSeconds(progress.totalSeconds)
+      }));
+    }
+
+    if (progress.speedFactor) {
+      parts.push(`${progress.speedFactor.toFixed(1)}x`);
+    }
+  } else {
+    parts.push(t(language, 'progress.downloading'));
+
+    if (progress.percent !== null) {
+      parts.push(`${Math.floor(progress.percent)}%`);
+    }
+
+    if (progress.speedBytesPerSecond) {
+      parts.push(`${formatBytes(progress.speedBytesPerSecond)}/s`);
+    }
+  }
+
+  if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+    parts.push(`ETA ${formatSeconds(Math.ceil(progress.etaSeconds))}`);
+  }
+
+  return parts.join(' • ');
+}
+
+function createProgressRelay({ editText, statusMessage, header, language }) {
+  const intervalMs = config.progressUpdateIntervalSeconds * 1000;
+  let lastUpdateAt = 0;
+  let lastText = '';
+  let updating = false;
+  let disabled = !editText || !statusMessage?.key;
+
+  return (progress) => {
+    if (disabled || updating || Date.now() - lastUpdateAt < intervalMs) {
+      return;
+    }
+
+    const text = `${header}\n${formatProgressLine(progress, language)}`;
+    if (text === lastText) {
+      return;
+    }
+
+    lastUpdateAt = Date.now();
+    lastText = text;
+    updating = true;
+
+    // Edita a mesma mensagem de status; se o cliente nao suportar edicao, para de atualizar.
+    editText(statusMessage.key, text)
+      .catch((error) => {
+        disabled = true;
+        console.warn('Falha ao atualizar progresso no chat:', error?.message || error);
+      })
+      .finally(() => {
+        updating = false;
+      });
+  };
+}
+
+function resolveAudioFormat(jobOptions = {}) {
+  return getAudioFormat(jobOptions.audioFormat) || getAudioFormat('mp3');
+}
+
+function getJobEffects(jobOptions = {}) {
+  return jobOptions.effects || [];
+}
+
+// Pedidos antigos (antes dos efeitos) seguem a normalizacao configurada.
+function buildAudioEffectOptions(jobOptions = {}) {
+  const normalize = jobOptions.normalize ?? config.audioNormalize;
+
+  return {
+    audioEffects: getJobEffects(jobOptions),
+    audioNormalize: normalize,
+    audioLoudnessTarget: normalize ? config.audioLoudnessTarget : null
+  };
+}
+
+function buildAudioDownloadOptions(video, jobOptions) {
+  return {
+    downloadPath: config.downloadPath,
+    maxFileSize: config.maxAudioFileSize,
+    ytDlpCookiesFile: config.ytDlpCookiesFile,
+    ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
+    ytDlpExtractorArgs: config.ytDlpExtractorArgs,
+    ytDlpJsRuntimes: config.ytDlpJsRuntimes,
+    ytDlpRemoteComponents: config.ytDlpRemoteComponents,
+    audioBitrateKbps: config.audioBitrateKbps,
+    audioChannels: config.audioChannels,
+    audioSampleRate: config.audioSampleRate,
+    audioQuality: config.audioQuality,
+    ytDlpConcurrentFragments: config.ytDlpConcurrentFragments,
+    embedMetadata: config.audioEmbedMetadata,
+    metadataAlbum: video.album || '',
+    // Capitulo vira faixa propria: titulo do capitulo, video como album e numero da faixa.
+    metadataTitle: video.chapter || getJobEffects(jobOptions).length > 0
+      ? getDisplayTitle(video, { effects: jobOptions.effects })
+      : '',
+    metadataTrack: video.chapter ? video.chapter.index : null,
+    audioFormat: jobOptions.audioFormat,
+    ...buildAudioEffectOptions(jobOptions)
+  };
+}
+
+function buildVoiceDownloadOptions(jobOptions) {
+  return {
+    downloadPath: config.downloadPath,
+    maxFileSize: config.maxAudioFileSize,
+    ytDlpCookiesFile: config.ytDlpCookiesFile,
+    ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
+    ytDlpExtractorArgs: config.ytDlpExtractorArgs,
+    ytDlpJsRuntimes: config.ytDlpJsRuntimes,
+    ytDlpRemoteComponents: config.ytDlpRemoteComponents,
+    audioBitrateKbps: config.voiceBitrateKbps,
+    audioQuality: config.audioQuality,
+    ytDlpConcurrentFragments: config.ytDlpConcurrentFragments,
+    ...buildAudioEffectOptions(jobOptions)
+  };
+}
+
+function buildVideoDownloadOptions(jobOptions) {
+  return {
+    downloadPath: config.downloadPath,
+    maxFileSize: config.maxVideoFileSize,
+    ytDlpCookiesFile: config.ytDlpCookiesFile,
+    ytDlpCookiesFromBrowser: config.ytDlpCookiesFromBrowser,
+    ytDlpExtractorArgs: config.ytDlpExtractorArgs,
+    ytDlpJsRuntimes: config.ytDlpJsRuntimes,
+    ytDlpRemoteComponents: config.ytDlpRemoteComponents,
+    ytDlpConcurrentFragments: config.ytDlpConcurrentFragments,
+    videoMaxHeight: getJobVideoHeight(jobOptions),
+    videoCrf: config.videoCrf,
+    videoAudioBitrateKbps: config.videoAudioBitrateKbps,
+    videoEncodingMode: config.videoEncodingMode
+  };
+}
+
+function buildEncodingProfile(mediaType, video, jobOptions) {
+  if (mediaType === MEDIA_VIDEO) {
+    return {
+      videoMaxHeight: getJobVideoHeight(jobOptions),
+      videoCrf: config.videoCrf,
+      videoAudioBitrateKbps: config.videoAudioBitrateKbps,
+      videoEncodingMode: config.videoEncodingMode
+    };
+  }
+
+  if (mediaType === MEDIA_VOICE) {
+    return {
+      voiceBitrateKbps: config.voiceBitrateKbps,
+      ...buildAudioEffectOptions(jobOptions)
+    };
+  }
+
+  return {
+    audioBitrateKbps: config.audioBitrateKbps,
+    audioChannels: config.audioChannels,
+    audioSampleRate: config.audioSampleRate,
+    audioQuality: config.audioQuality,
+    audioFormat: resolveAudioFormat(jobOptions).extension,
+    // Tags fazem parte do arquivo: a mesma faixa vinda de outra playlist gera outro album.
+    embedMetadata: config.audioEmbedMetadata,
+    album: video.album || '',
+    ...buildAudioEffectOptions(jobOptions)
+  };
+}
+
+function getMediaKey(video, mediaType, jobOptions) {
+  const videoId = video.videoId || extractYouTubeVideoId(video.url);
+  if (!videoId) {
+    return null;
+  }
+
+  const profile = buildEncodingProfile(mediaType, video, jobOptions);
+  if (video.chapter) {
+    profile.chapter = video.chapter;
+  } else if (jobOptions.clip) {
+    profile.clip = jobOptions.clip;
+  }
+
+  return buildCacheKey({ videoId, mediaType, profile });
+}
+
+function getReusableUpload(mediaKey) {
+  if (!mediaKey || config.mediaReuseTtlHours <= 0) {
+    return null;
+  }
+
+  const upload = stateStore.getUpload(mediaKey);
+  if (!upload) {
+    return null;
+  }
+
+  if (Date.now() - upload.uploadedAt > config.mediaReuseTtlHours * 3600 * 1000) {
+    stateStore.removeUpload(mediaKey);
+    return null;
+  }
+
+  return upload;
+}
+
+async function sendStoredUpload(mediaKey, upload, caption, replyStoredMedia) {
+  try {
+    await replyStoredMedia(upload, caption);
+    return true;
+  } catch (error) {
+    console.warn('Referencia de upload rejeitada, enviando arquivo novamente:', error?.message || error);
+    stateStore.removeUpload(mediaKey);
+    return false;
+  }
+}
+
+async function storeInMediaCache(cacheKey, video, mediaType, filePath, extraDetails = {}) {
+  try {
+    return await mediaCache.store(cacheKey, filePath, {
+      ...extraDetails,
+      videoId: video.videoId || extractYouTubeVideoId(video.url),
+      mediaType,
+      title: video.title
+    });
+  } catch (error) {
+    console.warn('Falha ao salvar midia no cache:', error.message);
+    return null;
+  }
+}
+
+function getSendExtension(mediaType, jobOptions) {
+  if (mediaType === MEDIA_VIDEO) {
+    return 'mp4';
+  }
+
+  return mediaType === MEDIA_VOICE
+    ? getAudioFormat(VOICE_NOTE_FORMAT).extension
+    : resolveAudioFormat(jobOptions).extension;
+}
+
+function getDisplayTitle(video, jobOptions, separator = ':') {
+  const suffixes = [];
+
+  if (jobOptions.clip) {
+    suffixes.push(formatClipRange(jobOptions.clip, separator));
+  }
+
+  // Normalizacao so ajusta o volume; o titulo mostra apenas efeitos que mudam o som.
+  if (getJobEffects(jobOptions).length > 0) {
+    suffixes.push(getAudioEffectsLabel(jobOptions.effects));
+  }
+
+  return suffixes.length > 0 ? `${video.title} (${suffixes.join(', ')})` : video.title;
+}
+
+// Duracao do arquivo final: nightcore, slowed e speed encurtam ou alongam o audio.
+function getOutputDuration(video, jobOptions) {
+  return getMediaDuration(video, jobOptions.clip) / getAudioEffectsTempo(getJobEffects(jobOptions));
+}
+
+function describeMedia(video, jobOptions, language) {
+  const details = [];
+  const description = jobOptions.clip
+    ? t(language, 'media.clip', { title: video.title, range: formatClipRange(jobOptions.clip) })
+    : `${video.title} (${video.durationText})`;
+
+  if (jobOptions.videoHeight) {
+    details.push(t(language, 'media.upTo', { height: jobOptions.videoHeight }));
+  }
+
+  if (getJobEffects(jobOptions).length > 0) {
+    details.push(getAudioEffectsLabel(jobOptions.effects));
+  }
+
+  return [description, ...details].join(' • ');
+}
+
+function buildSendFileName(video, mediaType, jobOptions) {
+  // ":" nao e valido em nome de arquivo; o trecho vai como "01.05-01.45".
+  const title = getDisplayTitle(video, jobOptions, '.');
+  return buildDisplayFileName(cleanArtistName(video.author), title, getSendExtension(mediaType, jobOptions));
+}
+
+async function sendMediaFile(mediaType, filePath, caption, sendOptions, { replyAudio, replyVideo }) {
+  const { fileName, jobOptions, waveform, seconds } = sendOptions;
+
+  try {
+    if (mediaType === MEDIA_VIDEO) {
+      return await replyVideo(filePath, caption, { fileName });
+    }
+
+    if (mediaType === MEDIA_VOICE) {
+      return await replyAudio(filePath, caption, {
+        fileName,
+        mimetype: getAudioFormat(VOICE_NOTE_FORMAT).mimetype,
+        ptt: true,
+        seconds,
+        waveform
+      });
+    }
+
+    const audioFormat = resolveAudioFormat(jobOptions);
+    return await replyAudio(filePath, caption, {
+      fileName,
+      mimetype: audioFormat.mimetype,
+      // Formatos sem perda nao tocam inline no WhatsApp; seguem como documento.
+      asDocument: config.audioSendAsDocument || audioFormat.lossless
+    });
+  } catch (sendError) {
+    if (isWhatsAppSizeError(sendError)) {
+      throw new DownloadError('FILE_TOO_LARGE', 'Arquivo excede o limite de envio do WhatsApp.');
+    }
+
+    sendError.code = mediaType === MEDIA_VIDEO ? 'WHATSAPP_SEND_VIDEO_FAILED' : 'WHATSAPP_SEND_AUDIO_FAILED';
+    throw sendError;
+  }
+}
+
+function getMediaPresentation(mediaType, video, jobOptions, language) {
+  const title = getDisplayTitle(video, jobOptions);
+
+  if (mediaType === MEDIA_VIDEO) {
+    return {
+      caption: `🎬 ${title}`,
+      downloadTitle: t(language, 'media.video.downloading'),
+      successText: t(language, 'media.video.sent')
+    };
+  }
+
+  if (mediaType === MEDIA_VOICE) {
+    return {
+      caption: `🎙️ ${title}`,
+      downloadTitle: t(language, 'media.voice.downloading'),
+      successText: t(language, 'media.voice.sent')
+    };
+  }
+
+  return {
+    caption: `🎵 ${title}`,
+    downloadTitle: t(language, 'media.audio.downloading', { format: resolveAudioFormat(jobOptions).label }),
+    successText: t(language, 'media.audio.sent')
+  };
+}
+
+function formatEncodingSummary(encoding, language) {
+  const quality = encoding.mode === 'crf'
+    ? `CRF ${encoding.crf}`
+    : `${encoding.videoBitrateKbps || encoding.targetVideoBitrateKbps} kbps`;
+  const attempts = encoding.attempts > 1
+    ? ` (${t(language, 'media.encodingAttempts', { attempts: encoding.attempts })})`
+    : '';
+
+  return `${encoding.height}p • ${quality} • ${formatBytes(encoding.size)}${attempts}`;
+}
+
+function getMaxFileSize(mediaType) {
+  return mediaType === MEDIA_VIDEO ? config.maxVideoFileSize : config.maxAudioFileSize;
+}
+
+function getPartSizeLimit(mediaType) {
+  return Math.min(getMaxFileSize(mediaType), config.splitPartMaxSize);
+}
+
+function getDownloadClip(video, jobOptions) {
+  if (video.chapter) {
+    return {
+      startSeconds: video.chapter.startSeconds,
+      endSeconds: video.chapter.endSeconds
+    };
+  }
+
+  return jobOptions.clip || null;
+}
+
+function getMediaDownloader(mediaType, video, jobOptions) {
+  const clip = getDownloadClip(video, jobOptions);
+
+  if (mediaType === MEDIA_VOICE) {
+    return { download: downloadVoiceNote, options: { ...buildVoiceDownloadOptions(jobOptions), clip } };
+  }
+
+  const splitOptions = {
+    splitOversized: jobOptions.split === true,
+    maxPartSize: getPartSizeLimit(mediaType)
+  };
+
+  if (mediaType === MEDIA_VIDEO) {
+    return { download: downloadVideo, options: { ...buildVideoDownloadOptions(jobOptions), ...splitOptions, clip } };
+  }
+
+  return {
+    download: downloadAudio,
+    options: { ...buildAudioDownloadOptions(video, jobOptions), ...splitOptions, clip }
+  };
+}
+
+function buildPartFileName(fileName, part, language) {
+  const label = t(language, 'media.partFileName', { index: part.index, total: part.total });
+  return fileName.replace(/(\.[^.]+)?$/, (extension) => ` (${label})${extension}`);
+}
+
+async function sendMediaParts(mediaType, parts, caption, sendOptions, senders, notify, language) {
+  await notify(t(language, 'media.parts', { count: parts.length }));
+
+  for (const part of parts) {
+    const partCaption = t(language, 'media.partCaption', { index: part.index, total: part.total });
+    await sendMediaFile(mediaType, part.filePath, `${caption}\n${partCaption}`, {
+      ...sendOptions,
+      fileName: buildPartFileName(sendOptions.fileName, part, language)
+    }, senders);
+  }
+}
+
+// Divide de novo quando o WhatsApp recusa o arquivo inteiro, mirando metade do tamanho recusado.
+async function splitRejectedMedia(mediaType, media, video, jobOptions, signal) {
+  return splitMediaFile(media.filePath, {
+    maxPartSize: Math.min(getPartSizeLimit(mediaType), Math.floor(media.fileSize / 2)),
+    durationSeconds: getOutputDuration(video, jobOptions),
+    signal
+  });
+}
+
+// Dados calculados no download que valem guardar junto do arquivo no cache.
+function pickMediaDetails(downloadResult) {
+  const details = {};
+
+  if (downloadResult.waveform) {
+    details.waveform = downloadResult.waveform;
+  }
+
+  if (downloadResult.encoding) {
+    details.encoding = downloadResult.encoding;
+  }
+
+  return details;
+}
+
+async function processSelectedMedia({
+  context,
+  video,
+  mediaType,
+  jobOptions = {},
+  signal,
+  onStatusChange = () => {},
+  quiet = false,
+  react,
+  replyText,
+  editText,
+  replyAudio,
+  replyVideo,
+  replyStoredMedia
+}) {
+  // Modo silencioso: andamento e sucesso viram reacao; erros e a propria midia continuam no chat.
+  const notify = quiet ? async () => null : replyText;
+  const language = getChatLanguage(context.chatId);
+  const mediaKey = getMediaKey(video, mediaType, jobOptions);
+  const cacheKey = mediaCache.isEnabled() ? mediaKey : null;
+  const presentation = getMediaPresentation(mediaType, video, jobOptions, language);
+  const { caption } = presentation;
+  let successText = `✅ ${bold(presentation.successText)}`;
+  let pinnedCacheKey = null;
+  let outputFile = null;
+  let mediaDetails = {};
+  let parts = null;
+
+  const hookPayload = { context, video, mediaType, jobOptions };
+
+  try {
+    await plugins.runHook('beforeDownload', hookPayload);
+
+    const upload = getReusableUpload(mediaKey);
+    if (upload) {
+      onStatusChange(JOB_STATUS_SENDING);
+
+      if (await sendStoredUpload(mediaKey, upload, caption, replyStoredMedia)) {
+        await (quiet ? reactToRequest(react, REACTION_DONE) : replyText(successText));
+        await plugins.runHook('afterSend', { ...hookPayload, reusedUpload: true });
+        return;
+      }
+    }
+
+    onStatusChange(JOB_STATUS_DOWNLOADING);
+    if (quiet) {
+      await reactToRequest(react, REACTION_DOWNLOADING);
+    }
+
+    let media = cacheKey ? await mediaCache.get(cacheKey) : null;
+
+    if (media) {
+      pinnedCacheKey = cacheKey;
+      mediaDetails = media.details;
+      await notify(t(language, 'media.cached', { description: describeMedia(video, jobOptions, language) }));
+
+      // Cache guarda o arquivo inteiro; pedidos em modo split dividem de novo, sem recodificar.
+      if (jobOptions.split === true && mediaType !== MEDIA_VOICE && media.fileSize > getPartSizeLimit(mediaType)) {
+        parts = await splitMediaFile(media.filePath, {
+          maxPartSize: getPartSizeLimit(mediaType),
+          durationSeconds: getOutputDuration(video, jobOptions),
+          signal
+        });
+      } else if (media.fileSize > getMaxFileSize(mediaType)) {
+        throw new DownloadError('FILE_TOO_LARGE', 'Arquivo do cache acima do limite de tamanho permitido.');
+      }
+    } else {
+      const header = `⬇️ ${bold(presentation.downloadTitle)}\n${describeMedia(video, jobOptions, language)}`;
+      // Sem mensagem de status o relay de progresso nao edita nada.
+      const statusMessage = await notify(header);
+      const downloader = getMediaDownloader(mediaType, video, jobOptions);
+
+      const downloadResult = await downloader.download(video, {
+        ...downloader.options,
+        signal,
+        onStageChange: () => onStatusChange(JOB_STATUS_CONVERTING),
+        onProgress: createProgressRelay({ editText, statusMessage, header, language })
+      });
+
+      outputFile = downloadResult.filePath;
+      media = downloadResult;
+      parts = downloadResult.parts || null;
+      mediaDetails = pickMediaDetails(downloadResult);
+
+      const cached = cacheKey
+        ? await storeInMediaCache(cacheKey, video, mediaType, outputFile, mediaDetails)
+        : null;
+      if (cached) {
+        // Arquivo agora pertence ao cache e nao deve ser apagado apos o envio.
+        outputFile = null;
+        pinnedCacheKey = cacheKey;
+        media = cached;
+      }
+    }
+
+    assertNotAborted(signal);
+    onStatusChange(JOB_STATUS_SENDING);
+
+    if (mediaDetails.encoding) {
+      successText += `\n${formatEncodingSummary(mediaDetails.encoding, language)}`;
+    }
+
+    const sendOptions = {
+      fileName: buildSendFileName(video, mediaType, jobOptions),
+      jobOptions,
+      waveform: mediaDetails.waveform || null,
+      seconds: getOutputDuration(video, jobOptions)
+    };
+    const senders = { replyAudio, replyVideo };
+
+    if (parts) {
+      await sendMediaParts(mediaType, parts, caption, sendOptions, senders, notify, language);
+    } else {
+      let uploadReference = null;
+
+      try {
+        uploadReference = await sendMediaFile(mediaType, media.filePath, caption, sendOptions, senders);
+      } catch (sendError) {
+        const canSplit = jobOptions.split === true && mediaType !== MEDIA_VOICE;
+        if (!canSplit || sendError?.code !== 'FILE_TOO_LARGE') {
+          throw sendError;
+        }
+
+        parts = await splitRejectedMedia(mediaType, media, video, jobOptions, signal);
+        await sendMediaParts(mediaType, parts, caption, sendOptions, senders, notify, language);
+      }
+
+      // Envio em partes nao gera uma referencia unica reaproveitavel.
+      if (mediaKey && uploadReference && config.mediaReuseTtlHours > 0) {
+        stateStore.setUpload(mediaKey, uploadReference);
+      }
+    }
+
+    await (quiet ? reactToRequest(react, REACTION_DONE) : replyText(successText));
+    await plugins.runHook('afterSend', { ...hookPayload, reusedUpload: false });
+  } catch (error) {
+    if (isCancelledError(error)) {
+      // O aviso de cancelamento ja foi enviado pelo /cancel.
+      return;
+    }
+
+    logUnexpectedError('Erro no processamento da midia:', error);
+    if (quiet) {
+      await reactToRequest(react, REACTION_FAILED);
+    }
+
+    await replyText(`❌ ${mapPlayError(error, language)}`);
+  } finally {
+    // Sempre remove o arquivo temporario (e as partes) para evitar acumulo no servidor.
+    await safeUnlink(outputFile);
+    await Promise.all((parts || []).map((part) => safeUnlink(part.filePath)));
+
+    if (pinnedCacheKey) {
+      mediaCache.release(pinnedCacheKey);
+    }
+  }
+}
+
+async function showPlaylistTracks(context, playlistInput, defaultMediaType, requestOptions = {}) {
+  await notifyProgress(context, t(getChatLanguage(context.chatId), 'status.playlist'));
+
+  const { playlist, videoOptions, truncated } = await getPlaylistOptions(playlistInput, {
+    maxDurationSeconds: getMaxSearchDuration(requestOptions),
+    maxPlaylistItems: config.maxPlaylistItems * config.maxResultPages
+  });
+
+  await openSelectionSession(context, {
+    mode: 'playlist_tracks',
+    playlist,
+    options: videoOptions,
+    pageSize: config.maxPlaylistItems,
+    truncated,
+    defaultMediaType,
+    requestOptions
+  });
+}
+
+async function handlePlayCommand(context, query, defaultMediaType, requestOptions = {}) {
+  clearPendingSelection(getSelectionSessionKey(context));
+
+  if (isLikelyUrl(query)) {
+    await notifyProgress(context, t(getChatLanguage(context.chatId), 'status.validating'));
+
+    try {
+      const video = await getVideoFromInput(query, getMaxSearchDuration(requestOptions));
+      assertDurationForMedia(video, defaultMediaType, requestOptions.clip);
+      await assertVideoQuality(context, video, defaultMediaType, requestOptions);
+      await enqueueMediaJob(context, video, defaultMediaType, requestOptions);
+      return;
+    } catch (error) {
+      if (error instanceof YoutubeError && error.code === 'PLAYLIST_URL_DETECTED') {
+        await showPlaylistTracks(context, query, defaultMediaType, requestOptions);
+        return;
+      }
+
+      throw error;
+    }
+  }
+
+  await notifyProgress(context, t(getChatLanguage(context.chatId), 'status.searching'));
+
+  const maxTotalOptions = config.maxSearchOptions * config.maxResultPages;
+  const options = await searchMediaOptions(query, {
+    maxDurationSeconds: getMaxSearchDuration(requestOptions),
+    maxVideoResults: maxTotalOptions,
+    maxPlaylistResults: maxTotalOptions,
+    maxTotalOptions,
+    searchPages: Math.ceil(maxTotalOptions / YTS_RESULTS_PER_PAGE)
+  });
+
+  await openSelectionSession(context, {
+    mode: 'search_results',
+    query,
+    options,
+    pageSize: config.maxSearchOptions,
+    // Resultados alem de MAX_RESULT_PAGES paginas nao sao buscados; a ultima pagina avisa o corte.
+    truncated: options.length >= maxTotalOptions,
+    defaultMediaType,
+    requestOptions
+  });
+}
+
+// Capitulo sem nome recebe um titulo no idioma do chat, que tambem vai para o nome do arquivo.
+function buildChapterOption(video, chapter, language) {
+  const durationSeconds = chapter.endSeconds - chapter.startSeconds;
+
+  return {
+    ...video,
+    title: chapter.title || t(language, 'selection.untitledChapter', { index: chapter.index }),
+    durationSeconds,
+    durationText: formatSeconds(Math.round(durationSeconds)),
+    album: video.title,
+    chapter
+  };
+}
+
+async function showVideoChapters(context, query, defaultMediaType, requestOptions = {}) {
+  clearPendingSelection(getSelectionSessionKey(context));
+  await notifyProgress(context, t(getChatLanguage(context.chatId), 'status.chapters'));
+
+  // O video inteiro pode passar dos limites; o que importa e a duracao de cada capitulo.
+  const video = await getVideoFromInput(query, Number.POSITIVE_INFINITY);
+  const chapters = await fetchVideoChapters(video, buildYtDlpLookupOptions());
+
+  if (chapters.length === 0) {
+    throw new YoutubeError('NO_CHAPTERS', 'Video sem capitulos.');
+  }
+
+  // Cada capitulo ja define o proprio trecho; --start/--end nao se aplicam aqui.
+  const chapterRequestOptions = { ...requestOptions };
+  delete chapterRequestOptions.clip;
+
+  await openSelectionSession(context, {
+    mode: 'chapters',
+    video,
+    options: chapters.map((chapter) => buildChapterOption(video, chapter, getChatLanguage(context.chatId))),
+    pageSize: config.maxPlaylistItems,
+    defaultMediaType,
+    requestOptions: chapterRequestOptions
+  });
+}
+
+function withSelectionMetadata(option, pending) {
+  // Faixa escolhida de playlist leva o titulo da playlist como album nas tags.
+  if (pending.mode === 'playlist_tracks' && pending.playlist?.title) {
+    return { ...option, album: pending.playlist.title };
+  }
+
+  return option;
+}
+
+function buildMultiSelectionSummary(accepted, rejected, language) {
+  const total = accepted.length + rejected.length;
+  const lines = [t(language, 'selection.summary', { accepted: accepted.length, total }), ''];
+
+  accepted.forEach(({ index, option, mediaType, audioFormat, queueState }) => {
+    const mediaLabel = getDefaultMediaLabel(mediaType, language, audioFormat);
+    lines.push(`✅ ${index}. ${option.title} (${mediaLabel}) - ${formatQueuePosition(queueState, language)}`);
+  });
+
+  lines.push(...rejected.map(formatRejectedSelection));
+
+  return lines.join('\n');
+}
+
+function formatRejectedSelection({ index, option, reason }) {
+  return `❌ ${index}. ${option ? `${option.title} - ` : ''}${reason}`;
+}
+
+function getEntryRequestOptions(pending, entry) {
+  const requestOptions = { ...(pending.requestOptions || {}) };
+
+  if (entry.height) {
+    requestOptions.videoHeight = entry.height;
+  }
+
+  if (entry.karaoke) {
+    const effects = (requestOptions.effects || []).filter((effect) => effect !== 'karaoke');
+    requestOptions.effects = ['karaoke', ...effects];
+  }
+
+  return requestOptions;
+}
+
+async function handleMultiSelection(context, pending, entries) {
+  const language = getChatLanguage(context.chatId);
+  const accepted = [];
+  const rejected = [];
+
+  for (const entry of entries) {
+    const { index, mediaType } = entry;
+    const requestOptions = getEntryRequestOptions(pending, entry);
+    const option = pending.options[index - 1];
+
+    if (!option) {
+      rejected.push({ index, option: null, reason: t(language, 'selection.missing') });
+      continue;
+    }
+
+    if (option.kind === 'playlist') {
+      rejected.push({ index, option, reason: t(language, 'selection.playlistAlone') });
+      continue;
+    }
+
+    try {
+      assertDurationForMedia(option, mediaType, requestOptions.clip);
+      await assertVideoQuality(context, option, mediaType, requestOptions);
+    } catch (error) {
+      rejected.push({ index, option, reason: mapPlayError(error, language) });
+      continue;
+    }
+
+    const queueState = scheduleMediaJob(
+      context,
+      withSelectionMetadata(option, pending),
+      mediaType,
+      requestOptions
+    );
+    accepted.push({
+      index,
+      option,
+      mediaType,
+      audioFormat: getRequestAudioFormat(context.chatId, requestOptions),
+      queueState
+    });
+  }
+
+  if (accepted.length > 0) {
+    finishPendingSelection(context, pending);
+  }
+
+  if (!isQuietChat(context.chatId)) {
+    await context.replyText(buildMultiSelectionSummary(accepted, rejected, language));
+    return;
+  }
+
+  // Silencioso: os aceitos viram reacao; os recusados sao erros e continuam em texto.
+  await reactToRequest(context.react, accepted.length > 0 ? REACTION_QUEUED : REACTION_FAILED);
+  if (rejected.length > 0) {
+    await context.replyText(rejected.map(formatRejectedSelection).join('\n'));
+  }
+}
+
+async function handlePendingSelection(context, pending, selection) {
+  if (selection.entries.length > 1) {
+    await handleMultiSelection(context, pending, selection.entries);
+    return;
+  }
+
+  const [entry] = selection.entries;
+  const { index, mediaType } = entry;
+  const option = pending.options[index - 1];
+  const requestOptions = getEntryRequestOptions(pending, entry);
+
+  if (!option) {
+    await context.replyText(t(getChatLanguage(context.chatId), 'selection.invalid', { count: pending.options.length }));
+    return;
+  }
+
+  if (pending.mode === 'search_results') {
+    if (option.kind === 'playlist') {
+      finishPendingSelection(context, pending);
+      await showPlaylistTracks(context, option.url, mediaType, requestOptions);
+      return;
+    }
+
+    assertDurationForMedia(option, mediaType, requestOptions.clip);
+    await assertVideoQuality(context, option, mediaType, requestOptions);
+    finishPendingSelection(context, pending);
+    await enqueueMediaJob(context, option, mediaType, requestOptions);
+    return;
+  }
+
+  if (pending.mode === 'playlist_tracks' || pending.mode === 'chapters') {
+    assertDurationForMedia(option, mediaType, requestOptions.clip);
+    await assertVideoQuality(context, option, mediaType, requestOptions);
+    finishPendingSelection(context, pending);
+    await enqueueMediaJob(context, withSelectionMetadata(option, pending), mediaType, requestOptions);
+  }
+}
+
+// Trecho do meio da opcao (ou do capitulo), onde a musica ja esta em andamento.
+function getPreviewClip(option) {
+  const duration = Number(option.durationSeconds) || 0;
+  const offset = option.chapter ? option.chapter.startSeconds : 0;
+  const length = Math.min(config.previewDurationSeconds, duration);
+  const startSeconds = offset + Math.max(0, (duration - length) / 2);
+
+  return {
+    startSeconds: Math.floor(startSeconds),
+    endSeconds: Math.floor(startSeconds) + Math.ceil(length)
+  };
+}
+
+async function sendSelectionPreview(context, option, index, { signal, onStatusChange }) {
+  const language = getChatLanguage(context.chatId);
+  let preview = null;
+
+  try {
+    onStatusChange(JOB_STATUS_DOWNLOADING);
+    const clip = getPreviewClip(option);
+    const jobOptions = { effects: [], normalize: config.audioNormalize };
+    preview = await downloadVoiceNote(option, {
+      ...buildVoiceDownloadOptions(jobOptions),
+      audioBitrateKbps: config.previewBitrateKbps,
+      clip,
+      signal
+    });
+
+    onStatusChange(JOB_STATUS_SENDING);
+    await context.replyAudio(
+      preview.filePath,
+      t(language, 'preview.caption', { index, title: option.title }),
+      {
+        mimetype: getAudioFormat(VOICE_NOTE_FORMAT).mimetype,
+        ptt: true,
+        seconds: clip.endSeconds - clip.startSeconds,
+        waveform: preview.waveform
+      }
+    );
+  } catch (error) {
+    if (isCancelledError(error)) {
+      return;
+    }
+
+    logUnexpectedError('Erro ao gerar previa:', error);
+    await context.replyText(`❌ ${mapPlayError(error, language)}`);
+  } finally {
+    await safeUnlink(preview?.filePath);
+  }
+}
+
+async function handlePreviewRequest(context, pending, index) {
+  const language = getChatLanguage(context.chatId);
+  const option = pending.options[index - 1];
+
+  if (!option) {
+    await context.replyText(t(language, 'selection.invalid', { count: pending.options.length }));
+    return;
+  }
+
+  if (option.kind === 'playlist') {
+    await context.replyText(t(language, 'preview.playlist', { index }));
+    return;
+  }
+
+  // A lista continua aberta e ganha um novo prazo enquanto a pessoa ouve.
+  setPendingSelection(pending.sessionKey, pending);
+  await notifyProgress(context, t(language, 'preview.generating', { title: option.title }));
+
+  // Job como os downloads: aparece no /queue e pode ser cancelado com /cancel ou /remove.
+  const job = stateStore.addJob({
+    chatId: context.chatId,
+    requesterId: getSenderId(context),
+    messageKey: context.messageKey || null,
+    video: option,
+    mediaType: MEDIA_PREVIEW,
+    options: { index }
+  });
+
+  scheduleStoredJob(context, job);
+}
+
+function formatCommandUsage(name, language) {
+  const usage = mono(getCommandUsage(name, language));
+
+  if (name === 'clip') {
+    return t(language, 'command.usageExample', { usage, example: monoCommand('clip numb 1:05-1:45') });
+  }
+
+  return t(language, 'command.usage', { usage });
+}
+
+function describeFlagError(parsed, language) {
+  const flag = mono(`--${parsed.flag}`);
+
+  if (parsed.error === 'UNKNOWN_FLAG') {
+    return t(language, 'command.unknownFlag', { flag, command: monoCommand(parsed.type) });
+  }
+
+  const example = mono(FLAGS[parsed.flag].example);
+  if (parsed.error === 'MISSING_FLAG_VALUE') {
+    return t(language, 'command.missingFlagValue', { flag, example });
+  }
+
+  return t(language, 'command.invalidFlagValue', { flag, value: mono(parsed.value), example });
+}
+
+async function handleIncomingCommand(context) {
+  const { chatId, text, replyText, quotedText } = context;
+  const normalizedText = text.trim();
+  const language = getChatLanguage(chatId);
+  const sessionKey = getSelectionSessionKey(context);
+  const ownPending = getPendingSelection(sessionKey);
+  // Em grupos, numero solto so vale para quem buscou ou para quem cita a mensagem de resultados.
+  const pending = findQuotedPendingSelection(context) || ownPending;
+  const parsed = parseCommand(normalizedText);
+
+  if (parsed.type === 'cancel') {
+    const abortedJobs = abortRunningJobs(context);
+
+    if (!ownPending && abortedJobs.length === 0) {
+      await replyText(t(language, 'cancel.nothing'));
+      return;
+    }
+
+    const lines = [];
+
+    if (ownPending) {
+      clearPendingSelection(sessionKey);
+      lines.push(t(language, 'cancel.selection'));
+    }
+
+    abortedJobs.forEach((job) => {
+      lines.push(t(language, 'cancel.download', { title: job.video.title }));
+    });
+
+    await replyText(lines.join('\n'));
+    return;
+  }
+
+  if (pending) {
+    const direction = parsePageNavigation(normalizedText);
+    if (direction) {
+      await showSelectionPage(context, pending, direction);
+      return;
+    }
+
+    const previewIndex = parsePreviewRequest(normalizedText);
+    if (previewIndex) {
+      try {
+        await handlePreviewRequest(context, pending, previewIndex);
+      } catch (error) {
+        logUnexpectedError('Erro ao tratar pedido de previa:', error);
+        await replyText(`❌ ${mapPlayError(error, language)}`);
+      }
+      return;
+    }
+
+    const pageInfo = getSelectionPage(pending);
+    const selection = parseSelectionChoice(normalizedText, pending.defaultMediaType || MEDIA_AUDIO, {
+      optionCount: pending.options.length,
+      pageStart: pageInfo.start,
+      pageEnd: pageInfo.end
+    });
+    if (selection) {
+      try {
         await handlePendingSelection(context, pending, selection);
       } catch (error) {
-        console.error('Erro ao tratar selecao pendente:', error);
-        await replyText(`❌ ${mapPlayError(error)}`);
+        logUnexpectedError('Erro ao tratar selecao pendente:', error);
+        await replyText(`❌ ${mapPlayError(error, language)}`);
+      }
+      return;
+    }
+
+    try {
+      const pluginSelection = { text: normalizedText, options: pending.options, page: pageInfo };
+      if (await plugins.handleSelection({ ...context, language }, pluginSelection)) {
+        return;
       }
+    } catch (error) {
+      logUnexpectedError('Erro no handler de selecao de plugin:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
       return;
     }
 
-    if (!normalizedText.startsWith('/')) {
-      await replyText(`Envie ${mono('numero')}, ${mono('a+numero')}, ${mono('v+numero')} ou ${mono('/cancel')}.`);
+    // Em grupos a conversa segue normalmente; a dica so aparece no privado.
+    if (!isCommandText(normalizedText) && !context.isGroup) {
+      await replyText(t(language, 'selection.hint'));
       return;
     }
   }
@@ -562,43 +2269,144 @@ async function handleIncomingCommand(context) {
   }
 
   if (parsed.type === 'help') {
-    await replyText(buildHelpText());
+    await replyText(buildHelpText(language, getChatAudioFormat(chatId)));
+    return;
+  }
+
+  if (parsed.type === 'queue') {
+    await replyText(buildQueueText(getChatQueueEntries(chatId), language));
+    return;
+  }
+
+  if (parsed.type === 'remove') {
+    if (parsed.error === 'INVALID_INDEX') {
+      await replyText(t(language, 'remove.usageHint', { usage: formatCommandUsage('remove', language) }));
+      return;
+    }
+
+    await handleRemoveCommand(context, parsed.index);
     return;
   }
 
   if (parsed.type === 'unknown') {
-    await replyText(`⚠️ ${bold('Comando invalido')}. Use ${mono('/help')} para ver os comandos disponiveis.`);
+    await replyText(t(language, 'command.unknown'));
     return;
   }
 
-  if (parsed.error === 'EMPTY_QUERY') {
-    const fallbackQuery = String(quotedText || '').trim();
-    if (fallbackQuery) {
-      const defaultMediaType = parsed.type === 'video' ? MEDIA_VIDEO : MEDIA_AUDIO;
-      try {
-        await handlePlayCommand(context, fallbackQuery, defaultMediaType);
-      } catch (error) {
-        console.error(`Erro no comando /${parsed.type} via quote:`, error);
-        await replyText(`❌ ${mapPlayError(error)}`);
-      }
+  if (['UNKNOWN_FLAG', 'MISSING_FLAG_VALUE', 'INVALID_FLAG'].includes(parsed.error)) {
+    await replyText(`⚠️ ${describeFlagError(parsed, language)}\n${formatCommandUsage(parsed.type, language)}`);
+    return;
+  }
+
+  const pluginCommand = getCommand(parsed.type);
+  if (pluginCommand?.handler) {
+    try {
+      await pluginCommand.handler({ ...context, language }, parsed);
+    } catch (error) {
+      logUnexpectedError(`Erro no comando /${parsed.type} do plugin ${pluginCommand.plugin}:`, error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
+    return;
+  }
+
+  if (parsed.type === 'format') {
+    try {
+      await handleFormatCommand(context, parsed.value);
+    } catch (error) {
+      logUnexpectedError('Erro no comando /format:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
+    return;
+  }
+
+  if (parsed.type === 'quiet') {
+    try {
+      await handleQuietCommand(context, parsed.value);
+    } catch (error) {
+      logUnexpectedError('Erro no comando /quiet:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
+    return;
+  }
+
+  if (parsed.type === 'lang') {
+    try {
+      await handleLanguageCommand(context, parsed.value);
+    } catch (error) {
+      logUnexpectedError('Erro no comando /lang:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
+    return;
+  }
+
+  if (parsed.type === 'maxquality') {
+    try {
+      await handleMaxQualityCommand(context, parsed.value);
+    } catch (error) {
+      logUnexpectedError('Erro no comando /maxquality:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
+    return;
+  }
+
+  if (parsed.type === 'chapters') {
+    const { requestOptions, error: optionsError } = parseRequestOptions(parsed.flags || {}, language);
+    const query = parsed.query || String(quotedText || '').trim();
+
+    if (optionsError) {
+      await replyText(`⚠️ ${optionsError}`);
+      return;
+    }
+
+    if (!query) {
+      await replyText(t(language, 'command.chaptersHint', { usage: formatCommandUsage('chapters', language) }));
       return;
     }
 
-    const usage = parsed.type === 'video'
-      ? `${bold('Uso')}: ${mono('/video <nome, URL de video ou URL de playlist>')}`
-      : `${bold('Uso')}: ${mono('/play <nome, URL de video ou URL de playlist>')}`;
-    await replyText(`${usage}\nOu responda uma mensagem com ${mono('/play')} / ${mono('/video')}.`);
+    try {
+      await showVideoChapters(context, query, MEDIA_AUDIO, requestOptions);
+    } catch (error) {
+      logUnexpectedError('Erro no comando /chapters:', error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
+    }
     return;
   }
 
-  if (parsed.type === 'play' || parsed.type === 'video') {
-    const defaultMediaType = parsed.type === 'video' ? MEDIA_VIDEO : MEDIA_AUDIO;
+  if (COMMAND_MEDIA_TYPES[parsed.type]) {
+    const defaultMediaType = COMMAND_MEDIA_TYPES[parsed.type];
+    const { requestOptions, error: optionsError } = parseRequestOptions(parsed.flags || {}, language);
+
+    if (optionsError) {
+      await replyText(`⚠️ ${optionsError}`);
+      return;
+    }
+
+    if (parsed.error === 'INVALID_RANGE') {
+      await replyText(t(language, 'command.clipRangeHint', { usage: formatCommandUsage(parsed.type, language) }));
+      return;
+    }
+
+    if (parsed.error === 'EMPTY_QUERY') {
+      const fallbackQuery = String(quotedText || '').trim();
+      if (fallbackQuery) {
+        try {
+          await handlePlayCommand(context, fallbackQuery, defaultMediaType, requestOptions);
+        } catch (error) {
+          logUnexpectedError(`Erro no comando /${parsed.type} via quote:`, error);
+          await replyText(`❌ ${mapPlayError(error, language)}`);
+        }
+        return;
+      }
+
+      await replyText(t(language, 'command.quoteHint', { usage: formatCommandUsage(parsed.type, language) }));
+      return;
+    }
 
     try {
-      await handlePlayCommand(context, parsed.query, defaultMediaType);
+      await handlePlayCommand(context, parsed.query, defaultMediaType, requestOptions);
     } catch (error) {
-      console.error(`Erro no comando /${parsed.type}:`, error);
-      await replyText(`❌ ${mapPlayError(error)}`);
+      logUnexpectedError(`Erro no comando /${parsed.type}:`, error);
+      await replyText(`❌ ${mapPlayError(error, language)}`);
     }
   }
 }
@@ -606,18 +2414,54 @@ async function handleIncomingCommand(context) {
 async function bootstrap() {
   await ensureDirectory(config.downloadPath);
   await ensureDirectory(config.sessionPath);
+  await stateStore.load();
+  restorePendingSelections();
+  await mediaCache.init();
+  plugins.load(config.pluginsPath, config.plugins);
 
   console.log('Iniciando WhatsApp Music Bot...');
   console.log(`Pasta de downloads: ${config.downloadPath}`);
   console.log(`Limite audio: ${formatSeconds(config.maxAudioDuration)}`);
-  console.log(`Limite video: ${formatSeconds(config.maxVideoDuration)} (max ${config.videoMaxHeight}p)`);
+  console.log(
+    `Limite video: ${formatSeconds(config.maxVideoDuration)} (padrao ${config.videoMaxHeight}p, max ${config.videoQualityMaxHeight}p)`
+  );
+  console.log(`Limite nota de voz: ${formatSeconds(config.maxVoiceDuration)}`);
+  console.log(mediaCache.isEnabled()
+    ? `Cache de midia: ${config.mediaCachePath} (max ${formatBytes(config.mediaCacheMaxSize)})`
+    : 'Cache de midia desativado.');
+  console.log(plugins.loaded.length > 0 ? `Plugins: ${plugins.loaded.join(', ')}` : 'Nenhum plugin ativo.');
+  console.log(
+    `Workers da fila: ${config.queueMaxWorkers} (audio ${config.queueMaxAudioWorkers}, video ${config.queueMaxVideoWorkers})`
+  );
+
+  let storedJobsResumed = false;
 
   await startWhatsApp({
     sessionPath: config.sessionPath,
-    onTextMessage: handleIncomingCommand
+    onTextMessage: handleIncomingCommand,
+    onConnectionOpen: async () => {
+      // Retoma apenas na primeira conexao; reconexoes nao devem duplicar jobs.
+      if (storedJobsResumed) {
+        return;
+      }
+
+      storedJobsResumed = true;
+      await resumeStoredJobs();
+    }
   });
 }
 
+// Grava o que o debounce do estado ainda segura antes de sair (deploy, Ctrl+C).
+function handleShutdownSignal(signal, exitCode) {
+  process.once(signal, () => {
+    console.log(`${signal} recebido, salvando estado...`);
+    stateStore.flushPending().finally(() => process.exit(exitCode));
+  });
+}
+
+handleShutdownSignal('SIGINT', 130);
+handleShutdownSignal('SIGTERM', 143);
+
 bootstrap().catch((error) => {
   console.error('Falha ao iniciar o bot:', error);
   process.exit(1);
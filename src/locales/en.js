@@ -0,0 +1,248 @@
+module.exports = {
+  label: 'English',
+  commandAliases: {
+    play: ['song', 'music', 'download'],
+    clip: ['cut', 'trim'],
+    maxquality: ['quality'],
+    quiet: ['silent'],
+    lang: ['language'],
+    cancel: ['stop']
+  },
+  messages: {
+    'media.audio': '{format} audio',
+    'media.video': 'compact video',
+    'media.voice': 'voice note',
+    'media.preview': 'preview',
+    'media.clip': '{title} (clip {range})',
+    'media.upTo': 'up to {height}p',
+    'media.cached': '⚡ *Available in cache*\n{description}',
+    'media.audio.downloading': 'Downloading {format} audio',
+    'media.audio.sent': 'Audio sent successfully.',
+    'media.video.downloading': 'Downloading compact video',
+    'media.video.sent': 'Video sent successfully.',
+    'media.voice.downloading': 'Creating voice note',
+    'media.voice.sent': 'Voice note sent successfully.',
+    'media.encodingAttempts': '{attempts} attempts',
+    'media.parts': '✂️ *Large file*: sending in {count} parts.',
+    'media.partCaption': 'Part {index}/{total}',
+    'media.partFileName': 'Part {index} of {total}',
+
+    'help.title': '*Music Bot - Quick Guide*',
+    'help.commands': '*1) Commands*',
+    'help.aliases': '(or {aliases})',
+    'help.options': '*Request options*',
+    'help.effects': '`--fx` effects: {effects}',
+    'help.selection': '*2) Choosing an Option*',
+    'help.selection.default': '`1` uses the command\'s default format',
+    'help.selection.audio': '`a1` forces {format} audio',
+    'help.selection.video': '`v1` forces compact video',
+    'help.selection.height': '`v1@720` picks the video resolution (only those the video offers)',
+    'help.selection.voice': '`p1` forces a voice note',
+    'help.selection.karaoke': '`k1` karaoke audio (reduced vocals)',
+    'help.selection.preview': '`pv3` / `preview 3` plays {seconds}s from the middle of option 3; the list stays open',
+    'help.selection.multi': '`1,3,5` / `2-6` / `a1-4` / `v2,a3` / `all` picks several items',
+    'help.selection.pages': '`next` / `prev` (or `+` / `-`) moves between result pages',
+    'help.playlist': '*3) Playlist*',
+    'help.playlist.tracks': 'When you pick a playlist, the bot lists its tracks.',
+    'help.playlist.choose': 'Choose again with `1`, `a1`, `v1`, `p1` or `k1`.',
+    'help.playlist.chapters': 'In `{prefix}chapters` choosing works the same way, including `1-4` and `all`.',
+    'help.quote': '*4) Using Quotes (replying to a message)*',
+    'help.quote.usage': 'Reply to a message with `{prefix}play`, `{prefix}video`, `{prefix}voice` or `{prefix}karaoke` without retyping it.',
+    'help.quote.auto': 'The bot automatically uses the content of the quoted message.',
+    'help.examples': '*Examples*',
+    'help.limits': '*Limits*',
+    'help.limits.audio': 'Audio: {duration}',
+    'help.limits.video': 'Video: {duration} (default {defaultHeight}p, max {maxHeight}p)',
+    'help.limits.voice': 'Voice note: {duration}',
+
+    'commands.play.usage': '<name|url>',
+    'commands.play.description': 'prefers audio',
+    'commands.video.usage': '<name|url> [height]',
+    'commands.video.description': 'prefers compact video; a trailing height picks the resolution',
+    'commands.voice.usage': '<name|url>',
+    'commands.voice.description': 'sends a voice note (plays right in the chat)',
+    'commands.karaoke.usage': '<name|url>',
+    'commands.karaoke.description': 'audio with reduced vocals (karaoke instrumental)',
+    'commands.chapters.usage': '<url>',
+    'commands.chapters.description': 'lists the video chapters; each one chosen becomes a track',
+    'commands.clip.usage': '<name|url> <start>-<end>',
+    'commands.clip.description': 'downloads only that part (e.g. 1:05-1:45; 90- goes to the end)',
+    'commands.format.description': 'sets the chat\'s default audio format',
+    'commands.maxquality.usage': '<height|off>',
+    'commands.maxquality.description': 'maximum video resolution for the chat (admins)',
+    'commands.quiet.description': 'quiet mode: progress becomes a reaction (admins)',
+    'commands.lang.usage': '<{languages}>',
+    'commands.lang.description': 'language of the bot messages in this chat (admins)',
+    'commands.queue.description': 'lists your requests in the queue',
+    'commands.remove.description': 'removes a waiting request from the queue',
+    'commands.cancel.description': 'cancels the pending selection or the running download',
+    'commands.help.description': 'shows this guide',
+
+    'flags.format.description': 'audio format for this request only',
+    'flags.quality.description': 'video resolution',
+    'flags.fx.usage': '<effects>',
+    'flags.fx.description': 'comma-separated audio effects',
+    'flags.start.description': 'clip start',
+    'flags.end.description': 'clip end',
+    'flags.split.description': 'large files arrive split into parts',
+
+    'error.INVALID_URL': 'Invalid URL. Send a valid YouTube link or a search term.',
+    'error.NOT_FOUND': 'Nothing found for this search.',
+    'error.DURATION_LIMIT': 'Duration above the search limit ({duration}).',
+    'error.AUDIO_DURATION_LIMIT': 'Audio above the {duration} limit.',
+    'error.VIDEO_DURATION_LIMIT': 'Video above the {duration} limit. Choose audio for this item.',
+    'error.VOICE_DURATION_LIMIT': 'Voice note above the {duration} limit. Choose audio for this item.',
+    'error.CLIP_OUT_OF_RANGE': 'The clip starts after the end of the video ({duration}).',
+    'error.QUALITY_ABOVE_LIMIT': 'Resolution above this chat\'s maximum ({height}p).',
+    'error.QUALITY_UNAVAILABLE': 'This video has no {height}p. Available: {available}.',
+    'error.NO_CHAPTERS': 'This video has no chapters. Use `{prefix}clip` to download a specific part.',
+    'error.PLAYLIST_NOT_FOUND': 'Playlist not found.',
+    'error.PLAYLIST_NO_VALID_VIDEOS': 'Playlist has no tracks within the configured limits.',
+    'error.youtube': 'Failed to query YouTube.',
+    'error.YTDLP_NOT_FOUND': 'yt-dlp not found on the server.',
+    'error.FFMPEG_NOT_FOUND': 'ffmpeg not found on the server.',
+    'error.FFMPEG_ERROR': 'Failed to convert the video to a WhatsApp-compatible format.',
+    'error.COOKIES_FILE_NOT_FOUND': 'yt-dlp cookies file not found on the server. Check YTDLP_COOKIES_FILE.',
+    'error.YTDLP_AUTH_REQUIRED': 'YouTube blocked this request. Configure cookies in .env (YTDLP_COOKIES_FILE) and try again.',
+    'error.YTDLP_CHALLENGE_FAILED': 'YouTube blocked the media formats. Configure YTDLP_JS_RUNTIMES and YTDLP_REMOTE_COMPONENTS in .env.',
+    'error.YTDLP_FORMAT_UNAVAILABLE': 'This video has no compatible formats right now. Try another video or use `{prefix}play` for audio.',
+    'error.FILE_TOO_LARGE': 'The final file is too large to send on WhatsApp. Use `--split` to receive it in parts.',
+    'error.SPLIT_FAILED': 'Could not split the file into parts under the sending limit.',
+    'error.CANCELLED': 'Download cancelled.',
+    'error.download': 'Error downloading/converting media with yt-dlp.',
+    'error.WHATSAPP_NOT_CONNECTED': 'WhatsApp is temporarily disconnected. Try again in a moment.',
+    'error.WHATSAPP_SEND_AUDIO_FAILED': 'Failed to send the audio on WhatsApp.',
+    'error.WHATSAPP_SEND_VIDEO_FAILED': 'Failed to send the video on WhatsApp.',
+    'error.internal': 'Internal error while processing your request.',
+
+    'selection.lastPage': 'ℹ️ *You are already on the last page.*',
+    'selection.firstPage': 'ℹ️ *You are already on the first page.*',
+    'selection.playlistLine': '{index}. [Playlist] {title} - {author} ({count} videos)',
+    'selection.videoLine': '{index}. [Video {support}] {title} - {author} ({duration})',
+    'selection.trackLine': '{index}. [{support}] {title} - {author} ({duration})',
+    'selection.chapterLine': '{index}. [{support}] {title} ({duration}, starts at {start})',
+    'selection.howTo': '*Selection*: reply with the option number.',
+    'selection.howTo.audio': '`a+number` for {format} audio (e.g. `a1`)',
+    'selection.howTo.video': '`v+number` for compact video (e.g. `v1`; `v1@720` picks the resolution)',
+    'selection.howTo.voice': '`p+number` for a voice note (e.g. `p1`)',
+    'selection.howTo.karaoke': '`k+number` for karaoke audio, with reduced vocals (e.g. `k1`)',
+    'selection.howTo.default': 'Just the number uses the default: {media}.',
+    'selection.howTo.preview': '`pv+number` or `preview number` sends a short preview without closing the list (e.g. `pv3`)',
+    'selection.howTo.multi': 'Several items: `1,3,5`, `2-6`, `a1-4`, `v2,a3` or `all` (current page).',
+    'selection.howTo.timeout': 'Time limit: {seconds}s.',
+    'selection.howTo.cancel': '`{prefix}cancel` to cancel.',
+    'selection.page': '*Page* {page}/{total} - `next` / `prev` (or `+` / `-`) to navigate.',
+    'selection.truncated': 'ℹ️ Only the first {count} results were listed. Refine the search to see others.',
+    'selection.truncatedPlaylist': 'ℹ️ Only the first {count} playlist tracks were listed.',
+    'selection.clip': '*Clip*: {start}-{end}',
+    'selection.clipEnd': 'end',
+    'selection.results': '🔎 *Results*',
+    'selection.query': '*Search*: {query}',
+    'selection.playlist': '📚 *Playlist*: {title}',
+    'selection.channel': '*Channel*: {author}',
+    'selection.untitledChapter': 'Chapter {index}',
+    'selection.chapters': '📑 *Chapters*: {title}',
+    'selection.invalid': '⚠️ *Invalid option*. Choose a number between 1 and {count}.',
+    'selection.missing': 'Option does not exist.',
+    'selection.playlistAlone': 'A playlist must be chosen on its own to list its tracks.',
+    'selection.summary': '⏳ *Requests received*: {accepted} of {total}',
+    'selection.hint': 'Send `number`, `a+number`, `v+number`, `p+number`, `k+number` or `{prefix}cancel`.',
+
+    'list.tracks': '📚 View tracks',
+    'list.playlistDescription': '{author} • {count} videos',
+    'list.audio': '🎵 Audio',
+    'list.video': '🎬 Video',
+    'list.next': '➡️ Next page',
+    'list.prev': '⬅️ Previous page',
+    'list.pages': 'Pages',
+    'list.body': 'Or pick from the menu below:',
+    'list.button': 'View options',
+    'list.footer': 'You can also reply by typing, e.g. a1',
+
+    'preview.generating': '🎧 *Creating preview*: {title}',
+    'preview.caption': '🎧 *Preview {index}*: {title}\nReply `{index}` to download.',
+    'preview.playlist': '⚠️ Previews only work for videos. Choose `{index}` to see the playlist tracks.',
+
+    'status.playlist': '📚 *Loading playlist items...*',
+    'status.validating': '🔎 *Checking link...*',
+    'status.searching': '🔎 *Searching YouTube...*',
+    'status.chapters': '📑 *Reading video chapters...*',
+
+    'progress.converting': '⚙️ Converting',
+    'progress.downloading': '📥 Downloading',
+    'progress.encoded': '{done} of {total}',
+
+    'job.received': '⏳ *Request received*\n{position}',
+    'job.resumed': '♻️ *Request resumed after restart*\n{title}\n{position}',
+    'job.running': 'Processing now.',
+    'job.position': 'Queue position: {position}',
+
+    'queue.empty': '📋 *Your queue is empty.*',
+    'queue.title': '📋 *Your requests*',
+    'queue.waiting': 'waiting',
+    'queue.downloading': 'downloading',
+    'queue.converting': 'converting',
+    'queue.sending': 'sending',
+    'queue.statusPosition': '{status}, position {position}',
+    'queue.removeHint': '`{prefix}remove <n>` removes a waiting request.',
+    'queue.cancelHint': '`{prefix}cancel` stops the running download.',
+
+    'remove.invalid': '⚠️ *Invalid request*. Use `{prefix}queue` to see your requests.',
+    'remove.running': '⚠️ This request is already running. Use `{prefix}cancel` to stop it.',
+    'remove.notOwner': '⚠️ Only the person who made the request or a group admin can remove it.',
+    'remove.notWaiting': '⚠️ *This request is no longer waiting in the queue.*',
+    'remove.done': '🗑️ *Request removed from the queue*\n{title}',
+    'remove.usageHint': '{usage}\nSee the numbers with `{prefix}queue`.',
+
+    'cancel.nothing': 'ℹ️ *There is no pending selection or running download to cancel.*',
+    'cancel.selection': '❎ *Selection cancelled.*',
+    'cancel.download': '❎ *Download cancelled*: {title}',
+
+    'options.invalidFormat': 'Invalid format. Use: {formats}.',
+    'options.invalidQuality': 'Invalid resolution. Use: {heights}.',
+    'options.invalidEffect': 'Invalid effect. Use: {effects} (e.g. `--fx slowed,reverb`).',
+    'options.invalidTime': 'Invalid time. Use seconds or `m:ss` / `h:mm:ss` (e.g. `1:05-1:45`).',
+    'options.endBeforeStart': 'The clip end must come after its start.',
+
+    'format.current': '🎧 *Audio format for this chat*: {format}',
+    'format.change': 'Change it with `{prefix}format <format>`: {formats}.',
+    'format.perRequest': 'Or use `--format` in a request: `{prefix}play numb --format opus`.',
+    'format.adminOnly': '⚠️ *Only group admins can change the audio format.*',
+    'format.invalid': '⚠️ Invalid format. Use: {formats}.',
+    'format.updated': '✅ *Default audio format*: {format}',
+
+    'maxquality.current': '🎬 *Maximum video resolution for this chat*: {height}p',
+    'maxquality.default': 'Default for requests: {height}p.',
+    'maxquality.change': 'Admins change it with `{prefix}maxquality <height>` ({heights}) or `{prefix}maxquality off`.',
+    'maxquality.adminOnly': '⚠️ *Only group admins can change the maximum resolution.*',
+    'maxquality.reset': '✅ *Maximum video resolution*: {height}p (server default)',
+    'maxquality.invalid': '⚠️ Invalid resolution. Use: {heights}.',
+    'maxquality.updated': '✅ *Maximum video resolution*: {height}p',
+
+    'quiet.on': 'on',
+    'quiet.off': 'off',
+    'quiet.current': '🔕 *Quiet mode*: {state}',
+    'quiet.explain': 'When on, the bot reacts to the request with {reactions} and only writes errors and the media.',
+    'quiet.change': 'Admins change it with `{prefix}quiet on` or `{prefix}quiet off`.',
+    'quiet.invalid': '⚠️ Invalid value. Use `{prefix}quiet on` or `{prefix}quiet off`.',
+    'quiet.adminOnly': '⚠️ *Only group admins can change quiet mode.*',
+    'quiet.updated': '✅ *Quiet mode*: {state}',
+
+    'lang.current': '🌐 *Language for this chat*: {language}',
+    'lang.available': 'Available: {languages}.',
+    'lang.change': 'Admins change it with `{prefix}lang <language>` (e.g. `{prefix}lang es`).',
+    'lang.invalid': '⚠️ Invalid language. Use: {languages}.',
+    'lang.adminOnly': '⚠️ *Only group admins can change the language.*',
+    'lang.updated': '✅ *Language*: {language}',
+
+    'command.unknown': '⚠️ *Invalid command*. Use `{prefix}help` to see the available commands.',
+    'command.usage': '*Usage*: {usage}',
+    'command.usageExample': '*Usage*: {usage} (e.g. {example})',
+    'command.unknownFlag': 'The option {flag} does not exist in {command}.',
+    'command.missingFlagValue': 'Provide a value for {flag} (e.g. {example}).',
+    'command.invalidFlagValue': 'Invalid value for {flag}: {value} (e.g. {example}).',
+    'command.clipRangeHint': '{usage}\nTimes in seconds or `m:ss`; without an end, it goes to the end.',
+    'command.chaptersHint': '{usage}\nOr reply to a message with the link using `{prefix}chapters`.',
+    'command.quoteHint': '{usage}\nOr reply to a message with `{prefix}play` / `{prefix}video` / `{prefix}voice` / `{prefix}karaoke`.'
+  }
+};
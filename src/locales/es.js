@@ -0,0 +1,254 @@
+module.exports = {
+  label: 'Español',
+  commandAliases: {
+    play: ['cancion', 'canción', 'descargar'],
+    voice: ['voz'],
+    chapters: ['capitulos', 'capítulos'],
+    clip: ['fragmento', 'recorte'],
+    format: ['formato'],
+    maxquality: ['calidad'],
+    quiet: ['silencio'],
+    lang: ['idioma'],
+    queue: ['cola'],
+    remove: ['quitar', 'eliminar'],
+    cancel: ['cancelar'],
+    help: ['ayuda']
+  },
+  messages: {
+    'media.audio': 'audio {format}',
+    'media.video': 'video compacto',
+    'media.voice': 'nota de voz',
+    'media.preview': 'vista previa',
+    'media.clip': '{title} (fragmento {range})',
+    'media.upTo': 'hasta {height}p',
+    'media.cached': '⚡ *Disponible en caché*\n{description}',
+    'media.audio.downloading': 'Descargando audio {format}',
+    'media.audio.sent': 'Audio enviado con éxito.',
+    'media.video.downloading': 'Descargando video compacto',
+    'media.video.sent': 'Video enviado con éxito.',
+    'media.voice.downloading': 'Generando nota de voz',
+    'media.voice.sent': 'Nota de voz enviada con éxito.',
+    'media.encodingAttempts': '{attempts} intentos',
+    'media.parts': '✂️ *Archivo grande*: enviando en {count} partes.',
+    'media.partCaption': 'Parte {index}/{total}',
+    'media.partFileName': 'Parte {index} de {total}',
+
+    'help.title': '*Music Bot - Guía Rápida*',
+    'help.commands': '*1) Comandos*',
+    'help.aliases': '(o {aliases})',
+    'help.options': '*Opciones de los pedidos*',
+    'help.effects': 'Efectos de `--fx`: {effects}',
+    'help.selection': '*2) Elegir Opción*',
+    'help.selection.default': '`1` usa el formato predeterminado del comando',
+    'help.selection.audio': '`a1` fuerza audio {format}',
+    'help.selection.video': '`v1` fuerza video compacto',
+    'help.selection.height': '`v1@720` elige la resolución del video (solo las disponibles en el video)',
+    'help.selection.voice': '`p1` fuerza nota de voz',
+    'help.selection.karaoke': '`k1` audio karaoke (voz reducida)',
+    'help.selection.preview': '`pv3` / `preview 3` reproduce {seconds}s del medio de la opción 3; la lista sigue abierta',
+    'help.selection.multi': '`1,3,5` / `2-6` / `a1-4` / `v2,a3` / `all` elige varios elementos',
+    'help.selection.pages': '`next` / `prev` (o `+` / `-`) navega entre páginas de resultados',
+    'help.playlist': '*3) Playlist*',
+    'help.playlist.tracks': 'Al elegir una playlist, el bot lista las pistas.',
+    'help.playlist.choose': 'Elige de nuevo con `1`, `a1`, `v1`, `p1` o `k1`.',
+    'help.playlist.chapters': 'En `{prefix}chapters` la elección funciona igual, incluso `1-4` y `all`.',
+    'help.quote': '*4) Usar Cita (responder un mensaje)*',
+    'help.quote.usage': 'Responde un mensaje con `{prefix}play`, `{prefix}video`, `{prefix}voice` o `{prefix}karaoke` sin repetir el texto.',
+    'help.quote.auto': 'El bot usa automáticamente el contenido del mensaje citado.',
+    'help.examples': '*Ejemplos*',
+    'help.limits': '*Límites*',
+    'help.limits.audio': 'Audio: {duration}',
+    'help.limits.video': 'Video: {duration} (predeterminado {defaultHeight}p, máx. {maxHeight}p)',
+    'help.limits.voice': 'Nota de voz: {duration}',
+
+    'commands.play.usage': '<nombre|url>',
+    'commands.play.description': 'prioriza audio',
+    'commands.video.usage': '<nombre|url> [altura]',
+    'commands.video.description': 'prioriza video compacto; la altura al final elige la resolución',
+    'commands.voice.usage': '<nombre|url>',
+    'commands.voice.description': 'envía como nota de voz (se reproduce en el chat)',
+    'commands.karaoke.usage': '<nombre|url>',
+    'commands.karaoke.description': 'audio con la voz reducida (instrumental para karaoke)',
+    'commands.chapters.usage': '<url>',
+    'commands.chapters.description': 'lista los capítulos del video; cada uno elegido se vuelve una pista',
+    'commands.clip.usage': '<nombre|url> <inicio>-<fin>',
+    'commands.clip.description': 'descarga solo el fragmento (ej: 1:05-1:45; 90- va hasta el final)',
+    'commands.format.description': 'define el formato de audio predeterminado del chat',
+    'commands.maxquality.usage': '<altura|off>',
+    'commands.maxquality.description': 'resolución máxima de video del chat (admins)',
+    'commands.quiet.description': 'modo silencioso: el progreso se vuelve reacción (admins)',
+    'commands.lang.usage': '<{languages}>',
+    'commands.lang.description': 'idioma de los mensajes del bot en este chat (admins)',
+    'commands.queue.description': 'lista tus pedidos en la cola',
+    'commands.remove.description': 'quita un pedido que espera en la cola',
+    'commands.cancel.description': 'cancela la selección pendiente o la descarga en curso',
+    'commands.help.description': 'muestra esta guía',
+
+    'flags.format.description': 'formato de audio solo para este pedido',
+    'flags.quality.description': 'resolución del video',
+    'flags.fx.usage': '<efectos>',
+    'flags.fx.description': 'efectos de audio separados por coma',
+    'flags.start.description': 'inicio del fragmento',
+    'flags.end.description': 'fin del fragmento',
+    'flags.split.description': 'un archivo grande llega dividido en partes',
+
+    'error.INVALID_URL': 'URL inválida. Envía un enlace válido de YouTube o un término de búsqueda.',
+    'error.NOT_FOUND': 'No se encontró nada para esta búsqueda.',
+    'error.DURATION_LIMIT': 'Duración por encima del límite de búsqueda ({duration}).',
+    'error.AUDIO_DURATION_LIMIT': 'Audio por encima del límite de {duration}.',
+    'error.VIDEO_DURATION_LIMIT': 'Video por encima del límite de {duration}. Elige audio para este elemento.',
+    'error.VOICE_DURATION_LIMIT': 'Nota de voz por encima del límite de {duration}. Elige audio para este elemento.',
+    'error.CLIP_OUT_OF_RANGE': 'El fragmento empieza después del final del video ({duration}).',
+    'error.QUALITY_ABOVE_LIMIT': 'Resolución por encima del máximo de este chat ({height}p).',
+    'error.QUALITY_UNAVAILABLE': 'Este video no tiene {height}p. Disponibles: {available}.',
+    'error.NO_CHAPTERS': 'Este video no tiene capítulos. Usa `{prefix}clip` para descargar un fragmento específico.',
+    'error.PLAYLIST_NOT_FOUND': 'Playlist no encontrada.',
+    'error.PLAYLIST_NO_VALID_VIDEOS': 'La playlist no tiene pistas válidas para los límites configurados.',
+    'error.youtube': 'Error al consultar YouTube.',
+    'error.YTDLP_NOT_FOUND': 'yt-dlp no encontrado en el servidor.',
+    'error.FFMPEG_NOT_FOUND': 'ffmpeg no encontrado en el servidor.',
+    'error.FFMPEG_ERROR': 'Error al convertir el video a un formato compatible con WhatsApp.',
+    'error.COOKIES_FILE_NOT_FOUND': 'Archivo de cookies de yt-dlp no encontrado en el servidor. Revisa YTDLP_COOKIES_FILE.',
+    'error.YTDLP_AUTH_REQUIRED': 'YouTube bloqueó esta solicitud. Configura cookies en el .env (YTDLP_COOKIES_FILE) e inténtalo de nuevo.',
+    'error.YTDLP_CHALLENGE_FAILED': 'YouTube bloqueó los formatos de medios. Configura YTDLP_JS_RUNTIMES y YTDLP_REMOTE_COMPONENTS en el .env.',
+    'error.YTDLP_FORMAT_UNAVAILABLE': 'Este video no ofrece formatos compatibles por ahora. Prueba otro video o usa `{prefix}play` para audio.',
+    'error.FILE_TOO_LARGE': 'El archivo final es demasiado grande para enviarlo por WhatsApp. Usa `--split` para recibirlo en partes.',
+    'error.SPLIT_FAILED': 'No se pudo dividir el archivo en partes por debajo del límite de envío.',
+    'error.CANCELLED': 'Descarga cancelada.',
+    'error.download': 'Error al descargar/convertir el medio con yt-dlp.',
+    'error.WHATSAPP_NOT_CONNECTED': 'WhatsApp está desconectado temporalmente. Inténtalo de nuevo en unos momentos.',
+    'error.WHATSAPP_SEND_AUDIO_FAILED': 'Error al enviar el audio por WhatsApp.',
+    'error.WHATSAPP_SEND_VIDEO_FAILED': 'Error al enviar el video por WhatsApp.',
+    'error.internal': 'Error interno al procesar tu solicitud.',
+
+    'selection.lastPage': 'ℹ️ *Ya estás en la última página.*',
+    'selection.firstPage': 'ℹ️ *Ya estás en la primera página.*',
+    'selection.playlistLine': '{index}. [Playlist] {title} - {author} ({count} videos)',
+    'selection.videoLine': '{index}. [Video {support}] {title} - {author} ({duration})',
+    'selection.trackLine': '{index}. [{support}] {title} - {author} ({duration})',
+    'selection.chapterLine': '{index}. [{support}] {title} ({duration}, inicio {start})',
+    'selection.howTo': '*Selección*: responde con el número de la opción.',
+    'selection.howTo.audio': '`a+número` para audio {format} (ej: `a1`)',
+    'selection.howTo.video': '`v+número` para video compacto (ej: `v1`; `v1@720` elige la resolución)',
+    'selection.howTo.voice': '`p+número` para nota de voz (ej: `p1`)',
+    'selection.howTo.karaoke': '`k+número` para audio karaoke, con la voz reducida (ej: `k1`)',
+    'selection.howTo.default': 'Solo el número usa el predeterminado: {media}.',
+    'selection.howTo.preview': '`pv+número` o `preview número` envía una vista previa corta sin cerrar la lista (ej: `pv3`)',
+    'selection.howTo.multi': 'Varios elementos: `1,3,5`, `2-6`, `a1-4`, `v2,a3` o `all` (página actual).',
+    'selection.howTo.timeout': 'Tiempo límite: {seconds}s.',
+    'selection.howTo.cancel': '`{prefix}cancel` para cancelar.',
+    'selection.page': '*Página* {page}/{total} - `next` / `prev` (o `+` / `-`) para navegar.',
+    'selection.truncated': 'ℹ️ Solo se listaron los primeros {count} resultados. Refina la búsqueda para ver otros.',
+    'selection.truncatedPlaylist': 'ℹ️ Solo se listaron las primeras {count} canciones de la playlist.',
+    'selection.clip': '*Fragmento*: {start}-{end}',
+    'selection.clipEnd': 'final',
+    'selection.results': '🔎 *Resultados*',
+    'selection.query': '*Búsqueda*: {query}',
+    'selection.playlist': '📚 *Playlist*: {title}',
+    'selection.channel': '*Canal*: {author}',
+    'selection.untitledChapter': 'Capítulo {index}',
+    'selection.chapters': '📑 *Capítulos*: {title}',
+    'selection.invalid': '⚠️ *Opción inválida*. Elige un número entre 1 y {count}.',
+    'selection.missing': 'La opción no existe.',
+    'selection.playlistAlone': 'La playlist debe elegirse sola para listar las pistas.',
+    'selection.summary': '⏳ *Pedidos recibidos*: {accepted} de {total}',
+    'selection.hint': 'Envía `número`, `a+número`, `v+número`, `p+número`, `k+número` o `{prefix}cancel`.',
+
+    'list.tracks': '📚 Ver pistas',
+    'list.playlistDescription': '{author} • {count} videos',
+    'list.audio': '🎵 Audio',
+    'list.video': '🎬 Video',
+    'list.next': '➡️ Página siguiente',
+    'list.prev': '⬅️ Página anterior',
+    'list.pages': 'Páginas',
+    'list.body': 'O elige desde el menú de abajo:',
+    'list.button': 'Ver opciones',
+    'list.footer': 'También puedes responder escribiendo, ej: a1',
+
+    'preview.generating': '🎧 *Generando vista previa*: {title}',
+    'preview.caption': '🎧 *Vista previa {index}*: {title}\nResponde `{index}` para descargar.',
+    'preview.playlist': '⚠️ La vista previa solo funciona con videos. Elige `{index}` para ver las pistas de la playlist.',
+
+    'status.playlist': '📚 *Cargando elementos de la playlist...*',
+    'status.validating': '🔎 *Validando enlace...*',
+    'status.searching': '🔎 *Buscando opciones en YouTube...*',
+    'status.chapters': '📑 *Leyendo capítulos del video...*',
+
+    'progress.converting': '⚙️ Convirtiendo',
+    'progress.downloading': '📥 Descargando',
+    'progress.encoded': '{done} de {total}',
+
+    'job.received': '⏳ *Pedido recibido*\n{position}',
+    'job.resumed': '♻️ *Pedido reanudado tras reinicio*\n{title}\n{position}',
+    'job.running': 'Procesando ahora.',
+    'job.position': 'Posición en la cola: {position}',
+
+    'queue.empty': '📋 *Tu cola está vacía.*',
+    'queue.title': '📋 *Tus pedidos*',
+    'queue.waiting': 'esperando',
+    'queue.downloading': 'descargando',
+    'queue.converting': 'convirtiendo',
+    'queue.sending': 'enviando',
+    'queue.statusPosition': '{status}, posición {position}',
+    'queue.removeHint': '`{prefix}remove <n>` quita un pedido en espera.',
+    'queue.cancelHint': '`{prefix}cancel` detiene la descarga en curso.',
+
+    'remove.invalid': '⚠️ *Pedido inválido*. Usa `{prefix}queue` para ver tus pedidos.',
+    'remove.running': '⚠️ Ese pedido ya está en curso. Usa `{prefix}cancel` para detenerlo.',
+    'remove.notOwner': '⚠️ Solo quien hizo el pedido o un admin del grupo puede quitarlo.',
+    'remove.notWaiting': '⚠️ *Ese pedido ya no está esperando en la cola.*',
+    'remove.done': '🗑️ *Pedido quitado de la cola*\n{title}',
+    'remove.usageHint': '{usage}\nMira los números con `{prefix}queue`.',
+
+    'cancel.nothing': 'ℹ️ *No hay selección pendiente ni descarga en curso para cancelar.*',
+    'cancel.selection': '❎ *Selección cancelada.*',
+    'cancel.download': '❎ *Descarga cancelada*: {title}',
+
+    'options.invalidFormat': 'Formato inválido. Usa: {formats}.',
+    'options.invalidQuality': 'Resolución inválida. Usa: {heights}.',
+    'options.invalidEffect': 'Efecto inválido. Usa: {effects} (ej: `--fx slowed,reverb`).',
+    'options.invalidTime': 'Tiempo inválido. Usa segundos o `m:ss` / `h:mm:ss` (ej: `1:05-1:45`).',
+    'options.endBeforeStart': 'El final del fragmento debe ser después del inicio.',
+
+    'format.current': '🎧 *Formato de audio de este chat*: {format}',
+    'format.change': 'Cámbialo con `{prefix}format <formato>`: {formats}.',
+    'format.perRequest': 'O usa `--format` en un pedido: `{prefix}play numb --format opus`.',
+    'format.adminOnly': '⚠️ *Solo los administradores del grupo pueden cambiar el formato de audio.*',
+    'format.invalid': '⚠️ Formato inválido. Usa: {formats}.',
+    'format.updated': '✅ *Formato de audio predeterminado*: {format}',
+
+    'maxquality.current': '🎬 *Resolución máxima de video de este chat*: {height}p',
+    'maxquality.default': 'Predeterminada de los pedidos: {height}p.',
+    'maxquality.change': 'Los admins la cambian con `{prefix}maxquality <altura>` ({heights}) o `{prefix}maxquality off`.',
+    'maxquality.adminOnly': '⚠️ *Solo los administradores del grupo pueden cambiar la resolución máxima.*',
+    'maxquality.reset': '✅ *Resolución máxima de video*: {height}p (predeterminada del servidor)',
+    'maxquality.invalid': '⚠️ Resolución inválida. Usa: {heights}.',
+    'maxquality.updated': '✅ *Resolución máxima de video*: {height}p',
+
+    'quiet.on': 'activado',
+    'quiet.off': 'desactivado',
+    'quiet.current': '🔕 *Modo silencioso*: {state}',
+    'quiet.explain': 'Activado, el bot reacciona al pedido con {reactions} y solo escribe errores y el medio.',
+    'quiet.change': 'Los admins lo cambian con `{prefix}quiet on` o `{prefix}quiet off`.',
+    'quiet.invalid': '⚠️ Valor inválido. Usa `{prefix}quiet on` o `{prefix}quiet off`.',
+    'quiet.adminOnly': '⚠️ *Solo los administradores del grupo pueden cambiar el modo silencioso.*',
+    'quiet.updated': '✅ *Modo silencioso*: {state}',
+
+    'lang.current': '🌐 *Idioma de este chat*: {language}',
+    'lang.available': 'Disponibles: {languages}.',
+    'lang.change': 'Los admins lo cambian con `{prefix}lang <idioma>` (ej: `{prefix}lang pt`).',
+    'lang.invalid': '⚠️ Idioma inválido. Usa: {languages}.',
+    'lang.adminOnly': '⚠️ *Solo los administradores del grupo pueden cambiar el idioma.*',
+    'lang.updated': '✅ *Idioma*: {language}',
+
+    'command.unknown': '⚠️ *Comando inválido*. Usa `{prefix}help` para ver los comandos disponibles.',
+    'command.usage': '*Uso*: {usage}',
+    'command.usageExample': '*Uso*: {usage} (ej: {example})',
+    'command.unknownFlag': 'La opción {flag} no existe en {command}.',
+    'command.missingFlagValue': 'Indica un valor para {flag} (ej: {example}).',
+    'command.invalidFlagValue': 'Valor inválido para {flag}: {value} (ej: {example}).',
+    'command.clipRangeHint': '{usage}\nTiempos en segundos o `m:ss`; sin final, va hasta el final.',
+    'command.chaptersHint': '{usage}\nO responde un mensaje con el enlace usando `{prefix}chapters`.',
+    'command.quoteHint': '{usage}\nO responde un mensaje con `{prefix}play` / `{prefix}video` / `{prefix}voice` / `{prefix}karaoke`.'
+  }
+};
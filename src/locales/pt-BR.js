@@ -0,0 +1,262 @@
+// Catalogo de referencia: chave ausente em outro idioma cai aqui.
+// "{prefix}" e o primeiro prefixo de COMMAND_PREFIXES; os demais "{nome}" vem de quem chama.
+module.exports = {
+  label: 'Português (Brasil)',
+  commandAliases: {
+    play: ['musica', 'música', 'baixar'],
+    voice: ['voz'],
+    chapters: ['capitulos', 'capítulos'],
+    clip: ['trecho'],
+    format: ['formato'],
+    maxquality: ['qualidade'],
+    quiet: ['silencioso'],
+    lang: ['idioma'],
+    queue: ['fila'],
+    remove: ['remover'],
+    cancel: ['cancelar'],
+    help: ['ajuda']
+  },
+  messages: {
+    'media.audio': 'áudio {format}',
+    'media.video': 'vídeo compacto',
+    'media.voice': 'nota de voz',
+    'media.preview': 'prévia',
+    'media.clip': '{title} (trecho {range})',
+    'media.upTo': 'até {height}p',
+    'media.cached': '⚡ *Disponível no cache*\n{description}',
+    'media.audio.downloading': 'Baixando áudio {format}',
+    'media.audio.sent': 'Áudio enviado com sucesso.',
+    'media.video.downloading': 'Baixando vídeo compacto',
+    'media.video.sent': 'Vídeo enviado com sucesso.',
+    'media.voice.downloading': 'Gerando nota de voz',
+    'media.voice.sent': 'Nota de voz enviada com sucesso.',
+    'media.encodingAttempts': '{attempts} tentativas',
+    'media.parts': '✂️ *Arquivo grande*: enviando em {count} partes.',
+    'media.partCaption': 'Parte {index}/{total}',
+    'media.partFileName': 'Parte {index} de {total}',
+
+    'help.title': '*Music Bot - Guia Rápido*',
+    'help.commands': '*1) Comandos*',
+    'help.aliases': '(ou {aliases})',
+    'help.options': '*Opções dos pedidos*',
+    'help.effects': 'Efeitos do `--fx`: {effects}',
+    'help.selection': '*2) Escolher Opção*',
+    'help.selection.default': '`1` usa o formato padrão do comando',
+    'help.selection.audio': '`a1` força áudio {format}',
+    'help.selection.video': '`v1` força vídeo compacto',
+    'help.selection.height': '`v1@720` escolhe a resolução do vídeo (só as disponíveis no vídeo)',
+    'help.selection.voice': '`p1` força nota de voz',
+    'help.selection.karaoke': '`k1` áudio karaokê (voz reduzida)',
+    'help.selection.preview': '`pv3` / `preview 3` ouve {seconds}s do meio da opção 3; a lista continua aberta',
+    'help.selection.multi': '`1,3,5` / `2-6` / `a1-4` / `v2,a3` / `all` escolhe vários itens',
+    'help.selection.pages': '`next` / `prev` (ou `+` / `-`) navega entre páginas de resultados',
+    'help.playlist': '*3) Playlist*',
+    'help.playlist.tracks': 'Ao selecionar uma playlist, o bot lista as faixas.',
+    'help.playlist.choose': 'Escolha novamente com `1`, `a1`, `v1`, `p1` ou `k1`.',
+    'help.playlist.chapters': 'Em `{prefix}chapters` a escolha funciona igual, inclusive `1-4` e `all`.',
+    'help.quote': '*4) Usar Quote (responder mensagem)*',
+    'help.quote.usage': 'Responda uma mensagem com `{prefix}play`, `{prefix}video`, `{prefix}voice` ou `{prefix}karaoke` sem repetir o texto.',
+    'help.quote.auto': 'O bot usa automaticamente o conteúdo da mensagem citada.',
+    'help.examples': '*Exemplos*',
+    'help.limits': '*Limites*',
+    'help.limits.audio': 'Áudio: {duration}',
+    'help.limits.video': 'Vídeo: {duration} (padrão {defaultHeight}p, máx. {maxHeight}p)',
+    'help.limits.voice': 'Nota de voz: {duration}',
+
+    'commands.play.usage': '<nome|url>',
+    'commands.play.description': 'prioriza áudio',
+    'commands.video.usage': '<nome|url> [altura]',
+    'commands.video.description': 'prioriza vídeo compacto; altura no fim escolhe a resolução',
+    'commands.voice.usage': '<nome|url>',
+    'commands.voice.description': 'envia como nota de voz (toca direto no chat)',
+    'commands.karaoke.usage': '<nome|url>',
+    'commands.karaoke.description': 'áudio com a voz reduzida (instrumental para karaokê)',
+    'commands.chapters.usage': '<url>',
+    'commands.chapters.description': 'lista os capítulos do vídeo; cada escolhido vira uma faixa',
+    'commands.clip.usage': '<nome|url> <início>-<fim>',
+    'commands.clip.description': 'baixa só o trecho (ex: 1:05-1:45; 90- vai até o fim)',
+    'commands.format.usage': '<{formats}>',
+    'commands.format.description': 'define o formato de áudio padrão do chat',
+    'commands.maxquality.usage': '<altura|off>',
+    'commands.maxquality.description': 'resolução máxima de vídeo do chat (admins)',
+    'commands.quiet.usage': '<on|off>',
+    'commands.quiet.description': 'modo silencioso: andamento vira reação (admins)',
+    'commands.lang.usage': '<{languages}>',
+    'commands.lang.description': 'idioma das mensagens do bot neste chat (admins)',
+    'commands.queue.usage': '',
+    'commands.queue.description': 'lista seus pedidos na fila',
+    'commands.remove.usage': '<n>',
+    'commands.remove.description': 'remove um pedido aguardando na fila',
+    'commands.cancel.usage': '',
+    'commands.cancel.description': 'cancela a seleção pendente ou o download em andamento',
+    'commands.help.usage': '',
+    'commands.help.description': 'mostra este guia',
+
+    'flags.format.description': 'formato do áudio só deste pedido',
+    'flags.quality.description': 'resolução do vídeo',
+    'flags.fx.usage': '<efeitos>',
+    'flags.fx.description': 'efeitos de áudio separados por vírgula',
+    'flags.start.description': 'início do trecho',
+    'flags.end.description': 'fim do trecho',
+    'flags.split.description': 'arquivo grande chega dividido em partes',
+
+    'error.INVALID_URL': 'URL inválida. Envie um link válido do YouTube ou um termo de busca.',
+    'error.NOT_FOUND': 'Nada encontrado para essa busca.',
+    'error.DURATION_LIMIT': 'Duração acima do limite de busca ({duration}).',
+    'error.AUDIO_DURATION_LIMIT': 'Áudio acima do limite de {duration}.',
+    'error.VIDEO_DURATION_LIMIT': 'Vídeo acima do limite de {duration}. Escolha áudio para esse item.',
+    'error.VOICE_DURATION_LIMIT': 'Nota de voz acima do limite de {duration}. Escolha áudio para esse item.',
+    'error.CLIP_OUT_OF_RANGE': 'O trecho começa depois do fim do vídeo ({duration}).',
+    'error.QUALITY_ABOVE_LIMIT': 'Resolução acima do máximo deste chat ({height}p).',
+    'error.QUALITY_UNAVAILABLE': 'Este vídeo não tem {height}p. Disponíveis: {available}.',
+    'error.NO_CHAPTERS': 'Este vídeo não tem capítulos. Use `{prefix}clip` para baixar um trecho específico.',
+    'error.PLAYLIST_NOT_FOUND': 'Playlist não encontrada.',
+    'error.PLAYLIST_NO_VALID_VIDEOS': 'Playlist sem faixas válidas para os limites configurados.',
+    'error.youtube': 'Falha ao consultar o YouTube.',
+    'error.YTDLP_NOT_FOUND': 'yt-dlp não encontrado no servidor.',
+    'error.FFMPEG_NOT_FOUND': 'ffmpeg não encontrado no servidor.',
+    'error.FFMPEG_ERROR': 'Falha ao converter o vídeo para um formato compatível com o WhatsApp.',
+    'error.COOKIES_FILE_NOT_FOUND': 'Arquivo de cookies do yt-dlp não encontrado no servidor. Verifique YTDLP_COOKIES_FILE.',
+    'error.YTDLP_AUTH_REQUIRED': 'O YouTube bloqueou esta requisição. Configure cookies no .env (YTDLP_COOKIES_FILE) e tente novamente.',
+    'error.YTDLP_CHALLENGE_FAILED': 'O YouTube bloqueou os formatos de mídia. Configure YTDLP_JS_RUNTIMES e YTDLP_REMOTE_COMPONENTS no .env.',
+    'error.YTDLP_FORMAT_UNAVAILABLE': 'Este vídeo não liberou formatos compatíveis no momento. Tente outro vídeo ou use `{prefix}play` para áudio.',
+    'error.FILE_TOO_LARGE': 'O arquivo final ficou grande demais para envio no WhatsApp. Use `--split` para receber em partes.',
+    'error.SPLIT_FAILED': 'Não foi possível dividir o arquivo em partes abaixo do limite de envio.',
+    'error.CANCELLED': 'Download cancelado.',
+    'error.download': 'Erro ao baixar/converter mídia com yt-dlp.',
+    'error.WHATSAPP_NOT_CONNECTED': 'WhatsApp temporariamente desconectado. Tente novamente em instantes.',
+    'error.WHATSAPP_SEND_AUDIO_FAILED': 'Falha ao enviar o áudio no WhatsApp.',
+    'error.WHATSAPP_SEND_VIDEO_FAILED': 'Falha ao enviar o vídeo no WhatsApp.',
+    'error.internal': 'Erro interno ao processar sua solicitação.',
+
+    'selection.lastPage': 'ℹ️ *Você já está na última página.*',
+    'selection.firstPage': 'ℹ️ *Você já está na primeira página.*',
+    'selection.playlistLine': '{index}. [Playlist] {title} - {author} ({count} vídeos)',
+    'selection.videoLine': '{index}. [Vídeo {support}] {title} - {author} ({duration})',
+    'selection.trackLine': '{index}. [{support}] {title} - {author} ({duration})',
+    'selection.chapterLine': '{index}. [{support}] {title} ({duration}, início {start})',
+    'selection.howTo': '*Seleção*: responda com o número da opção.',
+    'selection.howTo.audio': '`a+número` para áudio {format} (ex: `a1`)',
+    'selection.howTo.video': '`v+número` para vídeo compacto (ex: `v1`; `v1@720` escolhe a resolução)',
+    'selection.howTo.voice': '`p+número` para nota de voz (ex: `p1`)',
+    'selection.howTo.karaoke': '`k+número` para áudio karaokê, com a voz reduzida (ex: `k1`)',
+    'selection.howTo.default': 'Somente o número usa o padrão: {media}.',
+    'selection.howTo.preview': '`pv+número` ou `preview número` envia uma prévia curta sem fechar a lista (ex: `pv3`)',
+    'selection.howTo.multi': 'Vários itens: `1,3,5`, `2-6`, `a1-4`, `v2,a3` ou `all` (página atual).',
+    'selection.howTo.timeout': 'Tempo limite: {seconds}s.',
+    'selection.howTo.cancel': '`{prefix}cancel` para cancelar.',
+    'selection.page': '*Página* {page}/{total} - `next` / `prev` (ou `+` / `-`) para navegar.',
+    'selection.truncated': 'ℹ️ Só os {count} primeiros resultados foram listados. Refine a busca para ver outros.',
+    'selection.truncatedPlaylist': 'ℹ️ Só as {count} primeiras faixas da playlist foram listadas.',
+    'selection.clip': '*Trecho*: {start}-{end}',
+    'selection.clipEnd': 'fim',
+    'selection.results': '🔎 *Resultados*',
+    'selection.query': '*Busca*: {query}',
+    'selection.playlist': '📚 *Playlist*: {title}',
+    'selection.channel': '*Canal*: {author}',
+    'selection.untitledChapter': 'Capítulo {index}',
+    'selection.chapters': '📑 *Capítulos*: {title}',
+    'selection.invalid': '⚠️ *Opção inválida*. Escolha um número entre 1 e {count}.',
+    'selection.missing': 'Opção inexistente.',
+    'selection.playlistAlone': 'A playlist deve ser escolhida sozinha para listar as faixas.',
+    'selection.summary': '⏳ *Pedidos recebidos*: {accepted} de {total}',
+    'selection.hint': 'Envie `número`, `a+número`, `v+número`, `p+número`, `k+número` ou `{prefix}cancel`.',
+
+    'list.tracks': '📚 Ver faixas',
+    'list.playlistDescription': '{author} • {count} vídeos',
+    'list.audio': '🎵 Áudio',
+    'list.video': '🎬 Vídeo',
+    'list.next': '➡️ Próxima página',
+    'list.prev': '⬅️ Página anterior',
+    'list.pages': 'Páginas',
+    'list.body': 'Ou escolha pelo menu abaixo:',
+    'list.button': 'Ver opções',
+    'list.footer': 'Também dá para responder digitando, ex: a1',
+
+    'preview.generating': '🎧 *Gerando prévia*: {title}',
+    'preview.caption': '🎧 *Prévia {index}*: {title}\nResponda `{index}` para baixar.',
+    'preview.playlist': '⚠️ A prévia só funciona para vídeos. Escolha `{index}` para ver as faixas da playlist.',
+
+    'status.playlist': '📚 *Carregando itens da playlist...*',
+    'status.validating': '🔎 *Validando link...*',
+    'status.searching': '🔎 *Buscando opções no YouTube...*',
+    'status.chapters': '📑 *Lendo capítulos do vídeo...*',
+
+    'progress.converting': '⚙️ Convertendo',
+    'progress.downloading': '📥 Baixando',
+    'progress.encoded': '{done} de {total}',
+
+    'job.received': '⏳ *Pedido recebido*\n{position}',
+    'job.resumed': '♻️ *Pedido retomado após reinício*\n{title}\n{position}',
+    'job.running': 'Processando agora.',
+    'job.position': 'Posição na fila: {position}',
+
+    'queue.empty': '📋 *Sua fila está vazia.*',
+    'queue.title': '📋 *Seus pedidos*',
+    'queue.waiting': 'aguardando',
+    'queue.downloading': 'baixando',
+    'queue.converting': 'convertendo',
+    'queue.sending': 'enviando',
+    'queue.statusPosition': '{status}, posição {position}',
+    'queue.removeHint': '`{prefix}remove <n>` remove um pedido aguardando.',
+    'queue.cancelHint': '`{prefix}cancel` interrompe o download em andamento.',
+
+    'remove.invalid': '⚠️ *Pedido inválido*. Use `{prefix}queue` para ver seus pedidos.',
+    'remove.running': '⚠️ Esse pedido já está em andamento. Use `{prefix}cancel` para interrompê-lo.',
+    'remove.notOwner': '⚠️ Só quem fez o pedido ou um admin do grupo pode removê-lo.',
+    'remove.notWaiting': '⚠️ *Esse pedido não está mais aguardando na fila.*',
+    'remove.done': '🗑️ *Pedido removido da fila*\n{title}',
+    'remove.usageHint': '{usage}\nVeja os números com `{prefix}queue`.',
+
+    'cancel.nothing': 'ℹ️ *Não existe seleção pendente ou download em andamento para cancelar.*',
+    'cancel.selection': '❎ *Seleção cancelada.*',
+    'cancel.download': '❎ *Download cancelado*: {title}',
+
+    'options.invalidFormat': 'Formato inválido. Use: {formats}.',
+    'options.invalidQuality': 'Resolução inválida. Use: {heights}.',
+    'options.invalidEffect': 'Efeito inválido. Use: {effects} (ex: `--fx slowed,reverb`).',
+    'options.invalidTime': 'Tempo inválido. Use segundos ou `m:ss` / `h:mm:ss` (ex: `1:05-1:45`).',
+    'options.endBeforeStart': 'O fim do trecho precisa ser depois do início.',
+
+    'format.current': '🎧 *Formato de áudio deste chat*: {format}',
+    'format.change': 'Altere com `{prefix}format <formato>`: {formats}.',
+    'format.perRequest': 'Ou use `--format` em um pedido: `{prefix}play numb --format opus`.',
+    'format.adminOnly': '⚠️ *Somente administradores do grupo podem alterar o formato de áudio.*',
+    'format.invalid': '⚠️ Formato inválido. Use: {formats}.',
+    'format.updated': '✅ *Formato padrão de áudio*: {format}',
+
+    'maxquality.current': '🎬 *Resolução máxima de vídeo deste chat*: {height}p',
+    'maxquality.default': 'Padrão dos pedidos: {height}p.',
+    'maxquality.change': 'Admins alteram com `{prefix}maxquality <altura>` ({heights}) ou `{prefix}maxquality off`.',
+    'maxquality.adminOnly': '⚠️ *Somente administradores do grupo podem alterar a resolução máxima.*',
+    'maxquality.reset': '✅ *Resolução máxima de vídeo*: {height}p (padrão do servidor)',
+    'maxquality.invalid': '⚠️ Resolução inválida. Use: {heights}.',
+    'maxquality.updated': '✅ *Resolução máxima de vídeo*: {height}p',
+
+    'quiet.on': 'ligado',
+    'quiet.off': 'desligado',
+    'quiet.current': '🔕 *Modo silencioso*: {state}',
+    'quiet.explain': 'Ligado, o bot reage ao pedido com {reactions} e só escreve erros e a mídia.',
+    'quiet.change': 'Admins alteram com `{prefix}quiet on` ou `{prefix}quiet off`.',
+    'quiet.invalid': '⚠️ Valor inválido. Use `{prefix}quiet on` ou `{prefix}quiet off`.',
+    'quiet.adminOnly': '⚠️ *Somente administradores do grupo podem alterar o modo silencioso.*',
+    'quiet.updated': '✅ *Modo silencioso*: {state}',
+
+    'lang.current': '🌐 *Idioma deste chat*: {language}',
+    'lang.available': 'Disponíveis: {languages}.',
+    'lang.change': 'Admins alteram com `{prefix}lang <idioma>` (ex: `{prefix}lang en`).',
+    'lang.invalid': '⚠️ Idioma inválido. Use: {languages}.',
+    'lang.adminOnly': '⚠️ *Somente administradores do grupo podem alterar o idioma.*',
+    'lang.updated': '✅ *Idioma*: {language}',
+
+    'command.unknown': '⚠️ *Comando inválido*. Use `{prefix}help` para ver os comandos disponíveis.',
+    'command.usage': '*Uso*: {usage}',
+    'command.usageExample': '*Uso*: {usage} (ex: {example})',
+    'command.unknownFlag': 'A opção {flag} não existe em {command}.',
+    'command.missingFlagValue': 'Informe um valor para {flag} (ex: {example}).',
+    'command.invalidFlagValue': 'Valor inválido para {flag}: {value} (ex: {example}).',
+    'command.clipRangeHint': '{usage}\nTempos em segundos ou `m:ss`; sem fim, vai até o final.',
+    'command.chaptersHint': '{usage}\nOu responda uma mensagem com o link usando `{prefix}chapters`.',
+    'command.quoteHint': '{usage}\nOu responda uma mensagem com `{prefix}play` / `{prefix}video` / `{prefix}voice` / `{prefix}karaoke`.'
+  }
+};
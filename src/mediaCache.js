@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { ensureDirectory, safeUnlink } = require('./utils');
+
+const META_EXTENSION = '.json';
+const PARTIAL_EXTENSION = '.partial';
+
+function buildCacheKey({ videoId, mediaType, profile }) {
+  const payload = JSON.stringify({ videoId, mediaType, profile });
+  return createHash('sha256').update(payload).digest('hex').slice(0, 32);
+}
+
+async function moveFile(sourcePath, targetPath) {
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+
+    // Cache em outro disco: rename nao atravessa filesystems.
+    await fs.promises.copyFile(sourcePath, targetPath);
+    await safeUnlink(sourcePath);
+  }
+}
+
+class MediaCache {
+  constructor(cachePath, maxSizeBytes) {
+    this.cachePath = cachePath;
+    this.maxSizeBytes = Math.max(0, Number(maxSizeBytes) || 0);
+    this.entries = new Map();
+    this.pinned = new Map();
+  }
+
+  isEnabled() {
+    return this.maxSizeBytes > 0;
+  }
+
+  getMetaPath(key) {
+    return path.join(this.cachePath, `${key}${META_EXTENSION}`);
+  }
+
+  getFilePath(entry) {
+    return path.join(this.cachePath, entry.fileName);
+  }
+
+  async init() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    await ensureDirectory(this.cachePath);
+
+    const files = await fs.promises.readdir(this.cachePath);
+    const referencedFiles = new Set();
+
+    for (const fileName of files) {
+      if (!fileName.endsWith(META_EXTENSION)) {
+        continue;
+      }
+
+      const metaPath = path.join(this.cachePath, fileName);
+      const entry = await this.readValidEntry(metaPath);
+
+      if (!entry) {
+        await safeUnlink(metaPath);
+        continue;
+      }
+
+      referencedFiles.add(entry.fileName);
+      this.entries.set(entry.key, entry);
+    }
+
+    // Arquivos sem metadado (ou .partial) sao sobras de gravacoes interrompidas.
+    const orphans = files.filter((fileName) => {
+      return !fileName.endsWith(META_EXTENSION) && !referencedFiles.has(fileName);
+    });
+
+    await Promise.all(orphans.map((fileName) => safeUnlink(path.join(this.cachePath, fileName))));
+    await this.evict();
+  }
+
+  async readValidEntry(metaPath) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+      if (!entry?.key || !entry?.fileName || entry.fileName.endsWith(PARTIAL_EXTENSION)) {
+        return null;
+      }
+
+      const stats = await fs.promises.stat(this.getFilePath(entry));
+      if (stats.size !== entry.size) {
+        await safeUnlink(this.getFilePath(entry));
+        return null;
+      }
+
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  async get(key) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const filePath = this.getFilePath(entry);
+
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      this.entries.delete(key);
+      await safeUnlink(this.getMetaPath(key));
+      return null;
+    }
+
+    entry.lastAccessAt = Date.now();
+    this.writeMeta(entry);
+    this.pin(key);
+
+    return {
+      filePath,
+      fileSize: entry.size,
+      details: entry.details || {}
+    };
+  }
+
+  async store(key, sourcePath, details = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(sourcePath);
+    if (stats.size > this.maxSizeBytes) {
+      return null;
+    }
+
+    const extension = path.extname(sourcePath);
+    const fileName = `${key}${extension}`;
+    const targetPath = path.join(this.cachePath, fileName);
+    const partialPath = `${targetPath}${PARTIAL_EXTENSION}`;
+
+    // Metadado so e gravado depois do arquivo completo; sem ele a entrada e descartada no boot.
+    await moveFile(sourcePath, partialPath);
+    await fs.promises.rename(partialPath, targetPath);
+
+    const entry = {
+      key,
+      fileName,
+      size: stats.size,
+      createdAt: Date.now(),
+      lastAccessAt: Date.now(),
+      details
+    };
+
+    await this.writeMeta(entry);
+    this.entries.set(key, entry);
+    this.pin(key);
+    await this.evict();
+
+    return {
+      filePath: targetPath,
+      fileSize: stats.size,
+      details
+    };
+  }
+
+  writeMeta(entry) {
+    return fs.promises
+      .writeFile(this.getMetaPath(entry.key), JSON.stringify(entry), 'utf8')
+      .catch((error) => {
+        console.warn(`Falha ao gravar metadado do cache ${entry.key}:`, error.message);
+      });
+  }
+
+  pin(key) {
+    this.pinned.set(key, (this.pinned.get(key) || 0) + 1);
+  }
+
+  release(key) {
+    const count = (this.pinned.get(key) || 0) - 1;
+
+    if (count > 0) {
+      this.pinned.set(key, count);
+      return;
+    }
+
+    this.pinned.delete(key);
+    this.evict().catch((error) => {
+      console.warn('Falha ao liberar espaco do cache:', error.message);
+    });
+  }
+
+  getTotalSize() {
+    let total = 0;
+
+    for (const entry of this.entries.values()) {
+      total += entry.size;
+    }
+
+    return total;
+  }
+
+  async evict() {
+    let totalSize = this.getTotalSize();
+    if (totalSize <= this.maxSizeBytes) {
+      return;
+    }
+
+    const candidates = [...this.entries.values()]
+      .filter((entry) => !this.pinned.has(entry.key))
+      .sort((left, right) => left.lastAccessAt - right.lastAccessAt);
+
+    for (const entry of candidates) {
+      if (totalSize <= this.maxSizeBytes) {
+        break;
+      }
+
+      this.entries.delete(entry.key);
+      totalSize -= entry.size;
+
+      await safeUnlink(this.getMetaPath(entry.key));
+      await safeUnlink(this.getFilePath(entry));
+    }
+  }
+}
+
+module.exports = {
+  buildCacheKey,
+  MediaCache
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { prepareCommand, registerCommand } = require('./commands');
+
+const HOOK_NAMES = ['beforeDownload', 'afterSend'];
+
+class PluginError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PluginError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// "plugins/ping.js" e "plugins/ping/index.js" viram o plugin "ping".
+function findPluginFile(pluginsPath, name) {
+  const candidates = [path.join(pluginsPath, `${name}.js`), path.join(pluginsPath, name, 'index.js')];
+  return candidates.find((filePath) => fs.existsSync(filePath)) || null;
+}
+
+class PluginManager {
+  constructor() {
+    this.loaded = [];
+    this.selectionHandlers = [];
+    this.errorMessages = new Map();
+    this.hooks = Object.fromEntries(HOOK_NAMES.map((name) => [name, []]));
+  }
+
+  // Carrega so os plugins listados em PLUGINS; um plugin com erro e ignorado sem derrubar o bot.
+  load(pluginsPath, names) {
+    for (const name of names) {
+      const filePath = findPluginFile(pluginsPath, name);
+      if (!filePath) {
+        console.warn(`Plugin "${name}" nao encontrado em ${pluginsPath}.`);
+        continue;
+      }
+
+      try {
+        this.register(name, require(filePath));
+        this.loaded.push(name);
+      } catch (error) {
+        console.error(`Falha ao carregar o plugin "${name}":`, error);
+      }
+    }
+
+    return this.loaded;
+  }
+
+  register(name, plugin) {
+    if (typeof plugin?.register !== 'function') {
+      throw new Error('O modulo precisa exportar uma funcao register(bot).');
+    }
+
+    // Tudo que o plugin registra so vale se register() terminar sem erro.
+    const staged = { commands: [], selectionHandlers: [], errorMessages: [], hooks: [] };
+    plugin.register(this.createApi(name, staged));
+
+    staged.commands.forEach((definition) => registerCommand(definition));
+    this.selectionHandlers.push(...staged.selectionHandlers);
+    staged.errorMessages.forEach(([code, message]) => this.errorMessages.set(code, message));
+    staged.hooks.forEach(([hookName, handler]) => this.hooks[hookName].push(handler));
+  }
+
+  createApi(pluginName, staged) {
+    return {
+      name: pluginName,
+      PluginError,
+      registerCommand: (definition) => {
+        if (typeof definition?.handler !== 'function') {
+          throw new Error(`Comando "${definition?.name}" sem handler.`);
+        }
+
+        // Valida contra o registro e contra os comandos ja preparados por este plugin.
+        const reserved = new Set(staged.commands.flatMap((command) => [command.name, ...command.aliases]));
+        staged.commands.push(prepareCommand({ ...definition, plugin: pluginName }, reserved));
+      },
+      registerSelectionHandler: (handler) => {
+        staged.selectionHandlers.push({ pluginName, handler });
+      },
+      registerErrorMessages: (messages) => {
+        staged.errorMessages.push(...Object.entries(messages));
+      },
+      on: (hookName, handler) => {
+        if (!HOOK_NAMES.includes(hookName)) {
+          throw new Error(`Hook desconhecido: ${hookName}. Use: ${HOOK_NAMES.join(', ')}.`);
+        }
+
+        staged.hooks.push([hookName, handler]);
+      }
+    };
+  }
+
+  // Handlers rodam em ordem de carga; o primeiro que retornar true consome a mensagem.
+  async handleSelection(context, selection) {
+    for (const { handler } of this.selectionHandlers) {
+      if (await handler(context, selection)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Funcao recebe o idioma do chat para que o plugin traduza a propria mensagem.
+  getErrorMessage(error, language) {
+    const message = error?.code ? this.errorMessages.get(error.code) : null;
+    if (!message) {
+      return null;
+    }
+
+    return typeof message === 'function' ? message(error, language) : message;
+  }
+
+  // Erro em beforeDownload cancela o pedido; os demais hooks so registram a falha.
+  async runHook(hookName, payload) {
+    for (const handler of this.hooks[hookName]) {
+      if (hookName === 'beforeDownload') {
+        await handler(payload);
+        continue;
+      }
+
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Erro no hook ${hookName} de plugin:`, error);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PluginError,
+  PluginManager
+};
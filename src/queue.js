@@ -1,10 +1,17 @@
 class DownloadQueue {
-  constructor() {
-    this.items = [];
-    this.running = false;
+  constructor(options = {}) {
+    const { maxWorkers = 1, typeLimits = {} } = options;
+
+    this.maxWorkers = Math.max(1, Number(maxWorkers) || 1);
+    this.typeLimits = typeLimits;
+    this.waitingByChat = new Map();
+    // Ordem de rodizio entre chats com itens aguardando; o primeiro e o proximo a ser atendido.
+    this.chatOrder = [];
+    this.running = new Set();
   }
 
-  add(task) {
+  add(task, options = {}) {
+    const { id = null, chatId = null, type = null } = options;
     let resolveTask;
     let rejectTask;
 
@@ -13,47 +20,193 @@ class DownloadQueue {
       rejectTask = reject;
     });
 
-    const position = this.items.push({
+    const item = {
+      id,
       task,
+      chatId,
+      type,
+      controller: new AbortController(),
       resolveTask,
       rejectTask
-    });
+    };
 
-    this.process().catch((error) => {
-      console.error('Erro inesperado na fila:', error);
-    });
+    if (!this.waitingByChat.has(chatId)) {
+      this.waitingByChat.set(chatId, []);
+      this.chatOrder.push(chatId);
+    }
+
+    this.waitingByChat.get(chatId).push(item);
+    this.dispatch();
 
     return {
-      position,
+      position: this.getPosition(item),
+      started: this.running.has(item),
       promise
     };
   }
 
-  async process() {
-    if (this.running) {
-      return;
+  getRunningTypes() {
+    return [...this.running].map((item) => item.type);
+  }
+
+  // "runningTypes" e a lista de tipos em execucao, real ou simulada.
+  hasCapacityFor(type, runningTypes) {
+    if (runningTypes.length >= this.maxWorkers) {
+      return false;
+    }
+
+    const limit = Number(this.typeLimits[type]);
+    if (!type || !Number.isFinite(limit) || limit <= 0) {
+      return true;
     }
 
-    this.running = true;
+    return runningTypes.filter((runningType) => runningType === type).length < limit;
+  }
+
+  // Tira o proximo item de chatOrder/waitingByChat; recebe o estado para servir tambem a simulacao.
+  takeNextItem(chatOrder, waitingByChat, runningTypes) {
+    for (let orderIndex = 0; orderIndex < chatOrder.length; orderIndex += 1) {
+      const chatId = chatOrder[orderIndex];
+      const chatItems = waitingByChat.get(chatId);
+      const head = chatItems[0];
+
+      if (!this.hasCapacityFor(head.type, runningTypes)) {
+        continue;
+      }
 
-    while (this.items.length > 0) {
-      const current = this.items[0];
+      chatItems.shift();
+      chatOrder.splice(orderIndex, 1);
 
-      try {
-        const result = await current.task();
-        current.resolveTask(result);
-      } catch (error) {
-        current.rejectTask(error);
-      } finally {
-        this.items.shift();
+      if (chatItems.length > 0) {
+        // Chat atendido vai para o fim do rodizio para nao monopolizar os workers.
+        chatOrder.push(chatId);
+      } else {
+        waitingByChat.delete(chatId);
       }
+
+      return head;
     }
 
-    this.running = false;
+    return null;
+  }
+
+  dispatch() {
+    let next = this.takeNextItem(this.chatOrder, this.waitingByChat, this.getRunningTypes());
+
+    while (next) {
+      this.run(next);
+      next = this.takeNextItem(this.chatOrder, this.waitingByChat, this.getRunningTypes());
+    }
+  }
+
+  run(item) {
+    this.running.add(item);
+
+    Promise.resolve()
+      .then(() => item.task({ signal: item.controller.signal }))
+      .then(item.resolveTask, item.rejectTask)
+      .finally(() => {
+        this.running.delete(item);
+        this.dispatch();
+      })
+      .catch((error) => {
+        console.error('Erro inesperado na fila:', error);
+      });
+  }
+
+  // Simula o despacho com os limites por tipo: os itens em execucao terminam na ordem em que
+  // comecaram e cada vaga liberada vai para o primeiro chat do rodizio que cabe nela.
+  getExpectedOrder() {
+    const chatOrder = [...this.chatOrder];
+    const waitingByChat = new Map([...this.waitingByChat].map(([chatId, items]) => [chatId, [...items]]));
+    const runningTypes = this.getRunningTypes();
+    const order = [];
+
+    while (chatOrder.length > 0) {
+      const next = this.takeNextItem(chatOrder, waitingByChat, runningTypes);
+
+      if (next) {
+        order.push(next);
+        runningTypes.push(next.type);
+      } else if (runningTypes.length > 0) {
+        runningTypes.shift();
+      } else {
+        break;
+      }
+    }
+
+    return order;
+  }
+
+  list() {
+    const running = [...this.running].map((item) => ({
+      id: item.id,
+      chatId: item.chatId,
+      type: item.type,
+      running: true,
+      position: 0
+    }));
+
+    const waiting = this.getExpectedOrder().map((item, index) => ({
+      id: item.id,
+      chatId: item.chatId,
+      type: item.type,
+      running: false,
+      position: index + 1
+    }));
+
+    return [...running, ...waiting];
+  }
+
+  remove(id) {
+    for (const [chatId, chatItems] of this.waitingByChat) {
+      const index = chatItems.findIndex((item) => item.id === id);
+      if (index === -1) {
+        continue;
+      }
+
+      const [item] = chatItems.splice(index, 1);
+      if (chatItems.length === 0) {
+        this.waitingByChat.delete(chatId);
+        this.chatOrder = this.chatOrder.filter((value) => value !== chatId);
+      }
+
+      const error = new Error('Job removido da fila.');
+      error.code = 'JOB_REMOVED';
+      item.rejectTask(error);
+      return true;
+    }
+
+    return false;
+  }
+
+  abort(id) {
+    for (const item of this.running) {
+      if (item.id === id) {
+        item.controller.abort();
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  getPosition(item) {
+    if (this.running.has(item)) {
+      return 0;
+    }
+
+    return this.getExpectedOrder().indexOf(item) + 1;
   }
 
   size() {
-    return this.items.length;
+    let waiting = 0;
+
+    for (const items of this.waitingByChat.values()) {
+      waiting += items.length;
+    }
+
+    return waiting + this.running.size;
   }
 }
 
@@ -0,0 +1,157 @@
+const { getVideoHeight } = require('./downloader');
+
+const MEDIA_AUDIO = 'audio';
+const MEDIA_VIDEO = 'video';
+const MEDIA_VOICE = 'voice';
+
+function normalizeMediaToken(token) {
+  const value = String(token || '').toLowerCase();
+  if (value === 'a' || value === 'audio') {
+    return MEDIA_AUDIO;
+  }
+
+  if (value === 'v' || value === 'video') {
+    return MEDIA_VIDEO;
+  }
+
+  if (value === 'p' || value === 'voz' || value === 'voice') {
+    return MEDIA_VOICE;
+  }
+
+  return null;
+}
+
+function isKaraokeToken(token) {
+  return ['k', 'karaoke'].includes(String(token || '').toLowerCase());
+}
+
+// "k" nao e um tipo de midia: e audio com o efeito karaoke.
+function resolveSelectionMedia(mediaToken, defaultMediaType) {
+  if (!mediaToken) {
+    return { mediaType: defaultMediaType, karaoke: false };
+  }
+
+  if (isKaraokeToken(mediaToken)) {
+    return { mediaType: MEDIA_AUDIO, karaoke: true };
+  }
+
+  return { mediaType: normalizeMediaToken(mediaToken), karaoke: false };
+}
+
+function withKaraokeFlag(entries, karaoke) {
+  return karaoke && entries ? entries.map((entry) => ({ ...entry, karaoke: true })) : entries;
+}
+
+function expandSelectionRange(from, to, mediaType, optionCount) {
+  // Limita o range para que algo como "1-99999" nao gere milhares de entradas.
+  const boundedTo = Math.min(to, Math.max(from, optionCount));
+  const entries = [];
+
+  for (let index = from; index <= boundedTo; index += 1) {
+    entries.push({ index, mediaType });
+  }
+
+  return entries;
+}
+
+// "v1@720" / "2-4@480p": a altura vale para todos os itens do token e implica video.
+function parseSelectionToken(rawToken, defaultMediaType, bounds) {
+  const heightMatch = rawToken.match(/^(.*?)\s*@\s*(\S+)$/);
+  if (!heightMatch) {
+    return parseSelectionItems(rawToken, defaultMediaType, bounds);
+  }
+
+  const height = getVideoHeight(heightMatch[2]);
+  const entries = height ? parseSelectionItems(heightMatch[1], MEDIA_VIDEO, bounds) : null;
+  if (!entries || entries.some((entry) => entry.mediaType !== MEDIA_VIDEO)) {
+    return null;
+  }
+
+  return entries.map((entry) => ({ ...entry, height }));
+}
+
+function parseSelectionItems(token, defaultMediaType, bounds) {
+  const { optionCount, pageStart, pageEnd } = bounds;
+  // "all" seleciona somente a pagina exibida, nao a lista inteira.
+  const allMatch = token.match(/^(?:([a-z]+)\s+)?(all|todos|tudo)$/);
+  if (allMatch) {
+    const { mediaType, karaoke } = resolveSelectionMedia(allMatch[1], defaultMediaType);
+    return mediaType ? withKaraokeFlag(expandSelectionRange(pageStart + 1, pageEnd, mediaType, optionCount), karaoke) : null;
+  }
+
+  const match = token.match(/^(?:([a-z]+)\s*)?(\d+)(?:\s*-\s*(\d+))?(?:\s*([a-z]+))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, rawFrom, rawTo, suffix] = match;
+  if (prefix && suffix) {
+    return null;
+  }
+
+  const { mediaType, karaoke } = resolveSelectionMedia(prefix || suffix, defaultMediaType);
+  const from = Number(rawFrom);
+  const to = rawTo ? Number(rawTo) : from;
+
+  if (!mediaType || to < from) {
+    return null;
+  }
+
+  return withKaraokeFlag(expandSelectionRange(from, to, mediaType, bounds.optionCount), karaoke);
+}
+
+// "p" ja e nota de voz, entao a previa usa "pv3" ou "preview 3".
+function parsePreviewRequest(text) {
+  const match = String(text || '').trim().toLowerCase().match(/^(?:pv|preview|previa|prévia)\s*(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+function parsePageNavigation(text) {
+  const value = String(text || '').trim().toLowerCase();
+
+  if (['next', '+', 'proxima', 'próxima', 'siguiente', 'mais'].includes(value)) {
+    return 1;
+  }
+
+  if (['prev', '-', 'anterior', 'voltar'].includes(value)) {
+    return -1;
+  }
+
+  return 0;
+}
+
+function parseSelectionChoice(text, defaultMediaType, bounds) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  const entries = [];
+  const seen = new Set();
+
+  for (const token of value.split(/[,;]/).map((item) => item.trim())) {
+    const tokenEntries = token ? parseSelectionToken(token, defaultMediaType, bounds) : null;
+    if (!tokenEntries) {
+      return null;
+    }
+
+    tokenEntries.forEach((entry) => {
+      const entryKey = `${entry.mediaType}:${entry.index}:${entry.height || ''}:${entry.karaoke ? 'k' : ''}`;
+      if (!seen.has(entryKey)) {
+        seen.add(entryKey);
+        entries.push(entry);
+      }
+    });
+  }
+
+  return entries.length > 0 ? { entries } : null;
+}
+
+module.exports = {
+  MEDIA_AUDIO,
+  MEDIA_VIDEO,
+  MEDIA_VOICE,
+  parsePageNavigation,
+  parsePreviewRequest,
+  parseSelectionChoice
+};
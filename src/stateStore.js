@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { ensureDirectory } = require('./utils');
+
+const JOB_STATUS_WAITING = 'waiting';
+const JOB_STATUS_DOWNLOADING = 'downloading';
+const JOB_STATUS_CONVERTING = 'converting';
+const JOB_STATUS_SENDING = 'sending';
+
+const MAX_STORED_UPLOADS = 500;
+const SAVE_DELAY_MS = 1000;
+
+function createEmptyState() {
+  return {
+    jobs: [],
+    selections: {},
+    uploads: {},
+    chatSettings: {}
+  };
+}
+
+class StateStore {
+  constructor(statePath) {
+    this.statePath = statePath;
+    this.filePath = path.join(statePath, 'state.json');
+    this.state = createEmptyState();
+    this.pendingWrite = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  async load() {
+    await ensureDirectory(this.statePath);
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(raw);
+
+      this.state = {
+        jobs: Array.isArray(parsed?.jobs) ? parsed.jobs : [],
+        selections: parsed?.selections && typeof parsed.selections === 'object' ? parsed.selections : {},
+        uploads: parsed?.uploads && typeof parsed.uploads === 'object' ? parsed.uploads : {},
+        chatSettings: parsed?.chatSettings && typeof parsed.chatSettings === 'object' ? parsed.chatSettings : {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Estado persistido invalido em ${this.filePath}. Iniciando vazio.`);
+      }
+
+      this.state = createEmptyState();
+    }
+  }
+
+  // Mudancas em sequencia (status de job, selecao, upload) viram uma unica gravacao.
+  // Entrada e saida de jobs usam flush(): perder uma delas num crash perde ou repete o pedido.
+  save() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+  }
+
+  // Antecipa a gravacao agendada e espera as que ja estao em andamento; sem mudancas, nao regrava.
+  flushPending() {
+    return this.saveTimer ? this.flush() : this.pendingWrite;
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const snapshot = JSON.stringify(this.state, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    // Grava em arquivo temporario e renomeia para nunca deixar o estado pela metade.
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error) => {
+        console.error('Falha ao persistir estado do bot:', error);
+      });
+
+    return this.pendingWrite;
+  }
+
+  addJob({ chatId, requesterId, messageKey = null, video, mediaType, options = {} }) {
+    const job = {
+      id: randomUUID(),
+      chatId,
+      requesterId,
+      // Chave da mensagem do pedido: permite reagir a ela mesmo apos reinicio.
+      messageKey,
+      video,
+      mediaType,
+      options,
+      status: JOB_STATUS_WAITING,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.state.jobs.push(job);
+    this.flush();
+    return job;
+  }
+
+  updateJob(jobId, changes) {
+    const job = this.state.jobs.find((item) => item.id === jobId);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    this.save();
+    return job;
+  }
+
+  removeJob(jobId) {
+    const before = this.state.jobs.length;
+    this.state.jobs = this.state.jobs.filter((item) => item.id !== jobId);
+
+    if (this.state.jobs.length !== before) {
+      this.flush();
+    }
+  }
+
+  getJob(jobId) {
+    return this.state.jobs.find((item) => item.id === jobId) || null;
+  }
+
+  // Jobs concluidos sao removidos do journal, entao tudo que restou esta pendente.
+  getUnfinishedJobs() {
+    return [...this.state.jobs];
+  }
+
+  setSelection(key, payload) {
+    this.state.selections[key] = payload;
+    this.save();
+  }
+
+  removeSelection(key) {
+    if (!(key in this.state.selections)) {
+      return;
+    }
+
+    delete this.state.selections[key];
+    this.save();
+  }
+
+  getSelections() {
+    return Object.entries(this.state.selections);
+  }
+
+  getChatSettings(chatId) {
+    return this.state.chatSettings[chatId] || {};
+  }
+
+  updateChatSettings(chatId, changes) {
+    this.state.chatSettings[chatId] = {
+      ...this.getChatSettings(chatId),
+      ...changes
+    };
+
+    this.save();
+    return this.state.chatSettings[chatId];
+  }
+
+  setUpload(key, upload) {
+    this.state.uploads[key] = {
+      ...upload,
+      uploadedAt: Date.now()
+    };
+
+    const keys = Object.keys(this.state.uploads);
+    if (keys.length > MAX_STORED_UPLOADS) {
+      // Mantem somente as referencias mais recentes para o arquivo de estado nao crescer sem limite.
+      keys
+        .sort((left, right) => this.state.uploads[left].uploadedAt - this.state.uploads[right].uploadedAt)
+        .slice(0, keys.length - MAX_STORED_UPLOADS)
+        .forEach((oldKey) => {
+          delete this.state.uploads[oldKey];
+        });
+    }
+
+    this.save();
+  }
+
+  getUpload(key) {
+    return this.state.uploads[key] || null;
+  }
+
+  removeUpload(key) {
+    if (!(key in this.state.uploads)) {
+      return;
+    }
+
+    delete this.state.uploads[key];
+    this.save();
+  }
+}
+
+module.exports = {
+  JOB_STATUS_CONVERTING,
+  JOB_STATUS_DOWNLOADING,
+  JOB_STATUS_SENDING,
+  JOB_STATUS_WAITING,
+  StateStore
+};
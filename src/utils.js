@@ -13,6 +13,33 @@ function sanitizeFilename(input, maxLength = 80) {
   return safe.slice(0, maxLength);
 }
 
+// Canais gerados pelo YouTube ("Adele - Topic") e de gravadora ("LinkinParkVEVO") nao sao o nome do artista.
+function cleanArtistName(channel) {
+  const value = String(channel || '').trim();
+  const topic = value.match(/^(.+?)\s*-\s*Topic$/i);
+  if (topic) {
+    return topic[1];
+  }
+
+  const vevo = value.match(/^(.+?)\s*VEVO$/);
+  return vevo ? vevo[1].replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2') : value;
+}
+
+function buildDisplayFileName(artist, title, extension) {
+  const clean = (value) => String(value || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const cleanArtist = clean(artist);
+  const cleanTitle = clean(title) || 'audio';
+  // Titulos no formato "Artista - Musica" ja trazem o artista; evita duplicar.
+  const alreadyPrefixed = cleanArtist && cleanTitle.toLowerCase().startsWith(cleanArtist.toLowerCase());
+  const baseName = cleanArtist && !alreadyPrefixed ? `${cleanArtist} - ${cleanTitle}` : cleanTitle;
+
+  return `${baseName.slice(0, 120).trim()}.${extension}`;
+}
+
 function isLikelyUrl(value) {
   try {
     const parsed = new URL(value);
@@ -98,6 +125,25 @@ function parseTimestampToSeconds(timestamp) {
   return chunks[0] || 0;
 }
 
+// Versao estrita para entrada do usuario: "95", "1:35" ou "1:01:35"; retorna null se invalido.
+function parseTimeInput(value) {
+  const match = String(value ?? '').trim().match(/^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, first, second, rawSeconds] = match;
+  const hours = first !== undefined && second !== undefined ? Number(first) : 0;
+  const minutes = second !== undefined ? Number(second) : Number(first || 0);
+  const seconds = Number(rawSeconds);
+
+  if ((first !== undefined && seconds >= 60) || (second !== undefined && minutes >= 60)) {
+    return null;
+  }
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
 function formatSeconds(totalSeconds) {
   const seconds = Math.max(0, Number(totalSeconds) || 0);
   const hours = Math.floor(seconds / 3600);
@@ -111,6 +157,20 @@ function formatSeconds(totalSeconds) {
   return `${String(minutes).padStart(2, '0')}:${String(remainingSeconds).padStart(2, '0')}`;
 }
 
+function formatBytes(totalBytes) {
+  const bytes = Math.max(0, Number(totalBytes) || 0);
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unitIndex = 0;
+
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+
+  return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
 async function ensureDirectory(dirPath) {
   await fs.promises.mkdir(dirPath, { recursive: true });
 }
@@ -145,11 +205,15 @@ async function safeRemoveByPrefix(dirPath, prefix) {
 }
 
 module.exports = {
+  buildDisplayFileName,
+  cleanArtistName,
   ensureDirectory,
   extractYouTubePlaylistId,
   extractYouTubeVideoId,
+  formatBytes,
   formatSeconds,
   isLikelyUrl,
+  parseTimeInput,
   parseTimestampToSeconds,
   safeRemoveByPrefix,
   safeUnlink,
@@ -6,12 +6,33 @@ const {
   default: makeWASocket,
   DisconnectReason,
   fetchLatestBaileysVersion,
+  generateWAMessageFromContent,
+  proto,
   useMultiFileAuthState
 } = require('@whiskeysockets/baileys');
 const { ensureDirectory } = require('./utils');
 
 let currentSocket = null;
 
+const REUSABLE_MEDIA_TYPES = ['audioMessage', 'videoMessage', 'documentMessage'];
+// So o necessario para reenviar: miniatura, forma de onda e sidecar ficariam como base64 no estado.
+// Os hashes tem 32 bytes e o cliente precisa deles para validar o arquivo baixado.
+const UPLOAD_REFERENCE_FIELDS = [
+  'url',
+  'directPath',
+  'mediaKey',
+  'mediaKeyTimestamp',
+  'fileSha256',
+  'fileEncSha256',
+  'fileLength',
+  'mimetype',
+  'fileName',
+  'seconds',
+  'ptt',
+  'width',
+  'height'
+];
+
 function extractText(message) {
   if (!message) {
     return '';
@@ -33,6 +54,23 @@ function extractText(message) {
     return message.videoMessage.caption;
   }
 
+  // Toque em menu interativo chega com o id da linha/botao, que ja e o texto de selecao (ex: "a3").
+  if (message.listResponseMessage?.singleSelectReply?.selectedRowId) {
+    return message.listResponseMessage.singleSelectReply.selectedRowId;
+  }
+
+  if (message.buttonsResponseMessage?.selectedButtonId) {
+    return message.buttonsResponseMessage.selectedButtonId;
+  }
+
+  if (message.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson) {
+    try {
+      return String(JSON.parse(message.interactiveResponseMessage.nativeFlowResponseMessage.paramsJson).id || '');
+    } catch {
+      return '';
+    }
+  }
+
   if (message.ephemeralMessage?.message) {
     return extractText(message.ephemeralMessage.message);
   }
@@ -44,13 +82,20 @@ function extractText(message) {
   return '';
 }
 
-function extractQuotedText(message) {
-  const contextInfo =
+function getContextInfo(message) {
+  return (
     message?.extendedTextMessage?.contextInfo ||
     message?.imageMessage?.contextInfo ||
-    message?.videoMessage?.contextInfo;
+    message?.videoMessage?.contextInfo ||
+    message?.listResponseMessage?.contextInfo ||
+    message?.buttonsResponseMessage?.contextInfo ||
+    message?.interactiveResponseMessage?.contextInfo ||
+    null
+  );
+}
 
-  const quotedMessage = contextInfo?.quotedMessage;
+function extractQuotedText(message) {
+  const quotedMessage = getContextInfo(message)?.quotedMessage;
   if (!quotedMessage) {
     return '';
   }
@@ -59,44 +104,215 @@ function extractQuotedText(message) {
 }
 
 async function sendText(socket, chatId, text, quotedMessage) {
-  await socket.sendMessage(chatId, { text }, { quoted: quotedMessage });
+  return socket.sendMessage(chatId, { text }, { quoted: quotedMessage });
 }
 
-async function sendAudio(socket, chatId, filePath, quotedMessage, caption = '') {
-  await fs.promises.access(filePath, fs.constants.R_OK);
-
-  await socket.sendMessage(
+// Lista de selecao unica; "text" e o corpo exibido acima do botao que abre as opcoes.
+// O sendMessage do Baileys 6 ignora "sections" e mandaria texto puro, entao o proto e montado aqui.
+async function sendList(socket, chatId, list, quotedMessage) {
+  const waMessage = generateWAMessageFromContent(
     chatId,
     {
-      // Baileys espera media em Buffer, { stream } ou { url }.
-      audio: { url: filePath },
-      mimetype: 'audio/mpeg',
-      ptt: false
+      listMessage: {
+        title: list.title || '',
+        description: list.text,
+        buttonText: list.buttonText,
+        footerText: list.footer || '',
+        listType: proto.Message.ListMessage.ListType.SINGLE_SELECT,
+        sections: list.sections
+      }
     },
-    { quoted: quotedMessage }
+    { userJid: socket.user?.id, quoted: quotedMessage }
   );
+  await socket.relayMessage(chatId, waMessage.message, { messageId: waMessage.key.id });
+
+  // Mesmo formato do retorno do sendMessage: o id da chave permite aceitar quote do menu.
+  return waMessage;
+}
+
+async function sendReaction(socket, chatId, messageKey, emoji) {
+  return socket.sendMessage(chatId, { react: { text: emoji, key: messageKey } });
+}
+
+async function editText(socket, chatId, messageKey, text) {
+  return socket.sendMessage(chatId, { text, edit: messageKey });
+}
+
+function serializeMediaValue(value) {
+  if (value instanceof Uint8Array) {
+    return { base64: Buffer.from(value).toString('base64') };
+  }
+
+  // Campos Long do protobuf (ex: fileLength) viram numero simples no JSON.
+  if (value && typeof value === 'object' && typeof value.toNumber === 'function') {
+    return value.toNumber();
+  }
+
+  return value;
+}
+
+function deserializeMediaValue(value) {
+  if (value && typeof value === 'object' && typeof value.base64 === 'string') {
+    return Buffer.from(value.base64, 'base64');
+  }
+
+  return value;
+}
+
+function extractUploadReference(sentMessage) {
+  const content = sentMessage?.message || {};
+  const type = REUSABLE_MEDIA_TYPES.find((key) => content[key]);
+  if (!type) {
+    return null;
+  }
+
+  const fields = {};
+  for (const key of UPLOAD_REFERENCE_FIELDS) {
+    const value = content[type][key];
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    fields[key] = serializeMediaValue(value);
+  }
+
+  return { type, fields };
+}
+
+async function sendStoredMedia(socket, chatId, upload, quotedMessage, caption = '') {
+  const mediaMessage = {};
+  for (const [key, value] of Object.entries(upload.fields || {})) {
+    mediaMessage[key] = deserializeMediaValue(value);
+  }
+
+  if (upload.type === 'videoMessage') {
+    mediaMessage.caption = caption;
+  }
+
+  // Reaproveita url/mediaKey do upload anterior: nenhum byte e reenviado ao servidor de midia.
+  const waMessage = generateWAMessageFromContent(
+    chatId,
+    { [upload.type]: mediaMessage },
+    { userJid: socket.user?.id, quoted: quotedMessage }
+  );
+  await socket.relayMessage(chatId, waMessage.message, { messageId: waMessage.key.id });
+
+  if (caption && upload.type !== 'videoMessage') {
+    await socket.sendMessage(chatId, { text: caption }, { quoted: quotedMessage });
+  }
+}
+
+async function sendAudio(socket, chatId, filePath, quotedMessage, caption = '', options = {}) {
+  const {
+    fileName = path.basename(filePath),
+    mimetype = 'audio/mpeg',
+    asDocument = false,
+    ptt = false,
+    seconds,
+    waveform
+  } = options;
+  await fs.promises.access(filePath, fs.constants.R_OK);
+
+  // Mensagem de audio do WhatsApp nao carrega nome de arquivo; como documento o nome e as tags chegam intactos.
+  const content = asDocument
+    ? {
+      document: { url: filePath },
+      mimetype,
+      fileName
+    }
+    : {
+      // Baileys espera media em Buffer, { stream } ou { url }.
+      audio: { url: filePath },
+      mimetype,
+      ptt
+    };
+
+  if (!asDocument && ptt) {
+    // Duracao e forma de onda calculadas aqui evitam que o Baileys precise decodificar o arquivo.
+    if (seconds) {
+      content.seconds = Math.round(seconds);
+    }
+
+    if (waveform?.length) {
+      content.waveform = Uint8Array.from(waveform);
+    }
+  }
+
+  const sentMessage = await socket.sendMessage(chatId, content, { quoted: quotedMessage });
 
   if (caption) {
     await socket.sendMessage(chatId, { text: caption }, { quoted: quotedMessage });
   }
+
+  return extractUploadReference(sentMessage);
 }
 
-async function sendVideo(socket, chatId, filePath, quotedMessage, caption = '') {
+async function sendVideo(socket, chatId, filePath, quotedMessage, caption = '', options = {}) {
+  const { fileName = path.basename(filePath) } = options;
   await fs.promises.access(filePath, fs.constants.R_OK);
 
-  await socket.sendMessage(
+  const sentMessage = await socket.sendMessage(
     chatId,
     {
       video: { url: filePath },
       mimetype: 'video/mp4',
-      fileName: path.basename(filePath),
+      fileName,
       caption
     },
     { quoted: quotedMessage }
   );
+
+  return extractUploadReference(sentMessage);
+}
+
+async function isGroupAdmin(socket, chatId, participantId) {
+  const metadata = await socket.groupMetadata(chatId);
+  const participant = metadata.participants.find((item) => item.id === participantId);
+  // Baileys marca "admin" ou "superadmin" (criador); membros comuns vem com null.
+  return Boolean(participant?.admin);
+}
+
+function getConnectedSocket() {
+  if (!currentSocket) {
+    throw new Error('WHATSAPP_NOT_CONNECTED');
+  }
+
+  return currentSocket;
+}
+
+function createChatContext(chatId, quotedMessage, reactionKey = quotedMessage?.key || null) {
+  return {
+    chatId,
+    messageKey: reactionKey,
+    replyText: async (responseText) => {
+      return sendText(getConnectedSocket(), chatId, responseText, quotedMessage);
+    },
+    replyList: async (list) => {
+      return sendList(getConnectedSocket(), chatId, list, quotedMessage);
+    },
+    editText: async (messageKey, responseText) => {
+      return editText(getConnectedSocket(), chatId, messageKey, responseText);
+    },
+    react: async (emoji) => {
+      if (!reactionKey) {
+        return null;
+      }
+
+      return sendReaction(getConnectedSocket(), chatId, reactionKey, emoji);
+    },
+    replyAudio: async (filePath, caption, options) => {
+      return sendAudio(getConnectedSocket(), chatId, filePath, quotedMessage, caption, options);
+    },
+    replyVideo: async (filePath, caption, options) => {
+      return sendVideo(getConnectedSocket(), chatId, filePath, quotedMessage, caption, options);
+    },
+    replyStoredMedia: async (upload, caption) => {
+      await sendStoredMedia(getConnectedSocket(), chatId, upload, quotedMessage, caption);
+    }
+  };
 }
 
-async function startWhatsApp({ sessionPath, onTextMessage }) {
+async function startWhatsApp({ sessionPath, onTextMessage, onConnectionOpen }) {
   await ensureDirectory(sessionPath);
 
   let reconnectTimeout = null;
@@ -131,6 +347,12 @@ async function startWhatsApp({ sessionPath, onTextMessage }) {
       if (connection === 'open') {
         lastQr = null;
         console.log('WhatsApp conectado com sucesso.');
+
+        if (onConnectionOpen) {
+          Promise.resolve(onConnectionOpen()).catch((error) => {
+            console.error('Erro ao executar rotina pos-conexao:', error);
+          });
+        }
         return;
       }
 
@@ -183,34 +405,21 @@ async function startWhatsApp({ sessionPath, onTextMessage }) {
         }
 
         const quotedText = extractQuotedText(item.message);
+        const isGroup = chatId.endsWith('@g.us');
+        const senderId = (isGroup && item.key.participant) || chatId;
 
         try {
           await onTextMessage({
-            chatId,
+            ...createChatContext(chatId, item),
+            // Em grupos o remetente real vem em key.participant; no privado e o proprio chat.
+            senderId,
+            isGroup,
+            // No privado quem conversa com o bot administra o proprio chat.
+            isSenderAdmin: async () => !isGroup || isGroupAdmin(getConnectedSocket(), chatId, senderId),
             message: item,
             text,
             quotedText,
-            replyText: async (responseText) => {
-              if (!currentSocket) {
-                throw new Error('WHATSAPP_NOT_CONNECTED');
-              }
-
-              await sendText(currentSocket, chatId, responseText, item);
-            },
-            replyAudio: async (filePath, caption) => {
-              if (!currentSocket) {
-                throw new Error('WHATSAPP_NOT_CONNECTED');
-              }
-
-              await sendAudio(currentSocket, chatId, filePath, item, caption);
-            },
-            replyVideo: async (filePath, caption) => {
-              if (!currentSocket) {
-                throw new Error('WHATSAPP_NOT_CONNECTED');
-              }
-
-              await sendVideo(currentSocket, chatId, filePath, item, caption);
-            }
+            quotedMessageId: getContextInfo(item.message)?.stanzaId || null
           });
         } catch (error) {
           console.error('Erro ao processar mensagem recebida:', error);
@@ -223,5 +432,6 @@ async function startWhatsApp({ sessionPath, onTextMessage }) {
 }
 
 module.exports = {
+  createChatContext,
   startWhatsApp
 };
@@ -52,6 +52,7 @@ function normalizeVideo(video) {
 
   return {
     kind: 'video',
+    videoId: video.videoId || extractYouTubeVideoId(url),
     title: video.title || 'Sem titulo',
     url,
     durationSeconds,
@@ -167,10 +168,11 @@ async function searchMediaOptions(query, options = {}) {
     maxDurationSeconds = 600,
     maxVideoResults = 6,
     maxPlaylistResults = 4,
-    maxTotalOptions = 8
+    maxTotalOptions = 8,
+    searchPages = 1
   } = options;
 
-  const result = await yts(query);
+  const result = await yts(searchPages > 1 ? { query, pages: searchPages } : query);
   const videos = (result?.videos || [])
     .map(normalizeVideo)
     .filter(Boolean)
@@ -211,19 +213,21 @@ async function getPlaylistOptions(input, options = {}) {
     throw new YoutubeError('PLAYLIST_NOT_FOUND', 'Playlist nao encontrada.');
   }
 
-  const videoOptions = (playlistData?.videos || [])
+  const validVideos = (playlistData?.videos || [])
     .map(normalizeVideo)
     .filter(Boolean)
-    .filter((video) => video.durationSeconds > 0 && video.durationSeconds <= maxDurationSeconds)
-    .slice(0, maxPlaylistItems);
+    .filter((video) => video.durationSeconds > 0 && video.durationSeconds <= maxDurationSeconds);
+  const videoOptions = validVideos.slice(0, maxPlaylistItems);
 
   if (videoOptions.length === 0) {
     throw new YoutubeError('PLAYLIST_NO_VALID_VIDEOS', 'Nenhum video valido encontrado na playlist.');
   }
 
+  // A playlist pode ter mais faixas do que as buscadas (limite nosso ou da pagina do yt-search).
   return {
     playlist,
-    videoOptions
+    videoOptions,
+    truncated: validVideos.length > maxPlaylistItems || playlist.videoCount > (playlistData?.videos || []).length
   };
 }
 
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+// Os testes assumem o prefixo padrao, mesmo com outro configurado no .env local.
+process.env.COMMAND_PREFIXES = '/';
+
+const { getCommand, parseCommand, registerCommand } = require('../src/commands');
+
+describe('parseCommand', () => {
+  it('ignora texto sem prefixo e aponta comando desconhecido', () => {
+    assert.deepEqual(parseCommand('hello'), { type: 'none' });
+    assert.deepEqual(parseCommand('/ play'), { type: 'none' });
+    assert.deepEqual(parseCommand('/xyz a'), { type: 'unknown', command: '/xyz' });
+  });
+
+  it('aceita apelidos e nome em qualquer caixa', () => {
+    assert.equal(parseCommand('/p numb').type, 'play');
+    assert.equal(parseCommand('/PLAY numb').type, 'play');
+    assert.equal(parseCommand('/fila').type, 'queue');
+  });
+
+  it('agrupa valores entre aspas retas ou tipograficas', () => {
+    assert.deepEqual(parseCommand('/play numb --fx "slowed, reverb"').flags, { fx: 'slowed, reverb' });
+    assert.deepEqual(parseCommand('/play numb --fx “slowed, reverb”').flags, { fx: 'slowed, reverb' });
+    assert.equal(parseCommand('/play "don\'t stop me now"').query, 'don\'t stop me now');
+  });
+
+  it('mantem apostrofos no termo de busca', () => {
+    assert.equal(parseCommand('/play don\'t stop me now').query, 'don\'t stop me now');
+  });
+
+  it('converte os valores das flags pelo tipo', () => {
+    assert.deepEqual(parseCommand('/play numb --format OPUS').flags, { format: 'opus' });
+    assert.deepEqual(parseCommand('/play numb --start 1:05 --end 1:45').flags, { start: 65, end: 105 });
+    assert.deepEqual(parseCommand('/play numb --split=off').flags, { split: false });
+  });
+
+  it('nao deixa flag booleana engolir o termo de busca', () => {
+    assert.deepEqual(parseCommand('/play --split numb'), { type: 'play', query: 'numb', flags: { split: true } });
+  });
+
+  it('reporta flags invalidas', () => {
+    assert.equal(parseCommand('/play numb --bogus').error, 'UNKNOWN_FLAG');
+    assert.equal(parseCommand('/play numb --format').error, 'MISSING_FLAG_VALUE');
+    assert.equal(parseCommand('/play numb --quality 999').error, 'INVALID_FLAG');
+    assert.equal(parseCommand('/play').error, 'EMPTY_QUERY');
+  });
+
+  it('aplica as transformacoes de cada comando', () => {
+    assert.deepEqual(parseCommand('/video believer 720').flags, { quality: 720 });
+    assert.equal(parseCommand('/video blink 182').query, 'blink 182');
+    assert.deepEqual(parseCommand('/karaoke numb --fx slowed').flags, { fx: 'karaoke,slowed' });
+    assert.deepEqual(parseCommand('/clip numb 1:05-1:45'), { type: 'clip', query: 'numb', flags: { start: 65, end: 105 } });
+    assert.equal(parseCommand('/clip numb').error, 'INVALID_RANGE');
+  });
+
+  it('valida o indice do /remove', () => {
+    assert.deepEqual(parseCommand('/remove 2'), { type: 'remove', index: 2 });
+    assert.equal(parseCommand('/remove x').error, 'INVALID_INDEX');
+  });
+});
+
+describe('registerCommand', () => {
+  it('recusa nomes em uso e registra comandos novos', () => {
+    assert.throws(() => registerCommand({ name: 'play', handler: () => {} }), /ja existe/);
+    assert.throws(() => registerCommand({ name: 'echo', aliases: ['echo'], handler: () => {} }), /ja existe/);
+    assert.equal(getCommand('echo'), null);
+
+    registerCommand({ name: 'Echo', aliases: ['eco'], handler: () => {} });
+    assert.equal(parseCommand('/eco oi').type, 'echo');
+  });
+});
@@ -0,0 +1,248 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const {
+  buildAudioArgs,
+  buildAudioFilterGraph,
+  buildTargetSizeProfile,
+  getAudioEffectsLabel,
+  getAudioEffectsTempo,
+  getAudioFormat,
+  parseAudioEffects,
+  splitMediaFile
+} = require('../src/downloader');
+
+describe('parseAudioEffects', () => {
+  it('aceita virgula ou + como separador, apelidos e caixa alta', () => {
+    assert.deepEqual(parseAudioEffects('slowed,reverb'), { effects: ['slowed', 'reverb'], normalize: null });
+    assert.deepEqual(parseAudioEffects('Bass + normalize'), { effects: ['bassboost'], normalize: true });
+    assert.deepEqual(parseAudioEffects('slowed,slowed'), { effects: ['slowed'], normalize: null });
+  });
+
+  it('normaliza velocidade e tom, inclusive com sinal explicito', () => {
+    assert.deepEqual(parseAudioEffects('speed=1.5,tom=-2').effects, ['speed=1.5', 'pitch=-2']);
+    assert.deepEqual(parseAudioEffects('pitch=+2+reverb').effects, ['pitch=+2', 'reverb']);
+    assert.deepEqual(parseAudioEffects('pitch=2').effects, ['pitch=+2']);
+  });
+
+  it('usa off para desligar a normalizacao padrao', () => {
+    assert.deepEqual(parseAudioEffects('off'), { effects: [], normalize: false });
+  });
+
+  it('recusa efeito desconhecido ou valor fora da faixa', () => {
+    for (const value of ['', 'bogus', 'speed=9', 'speed=1', 'pitch=x', 'pitch=0', 'reverb=2']) {
+      assert.equal(parseAudioEffects(value), null, value);
+    }
+  });
+});
+
+describe('getAudioEffectsTempo e getAudioEffectsLabel', () => {
+  it('multiplica as mudancas de velocidade; tom sozinho nao muda a duracao', () => {
+    assert.equal(getAudioEffectsTempo(['nightcore', 'speed=2']), 2.5);
+    assert.equal(getAudioEffectsTempo(['pitch=+3', 'reverb']), 1);
+  });
+
+  it('descreve os efeitos na ordem pedida', () => {
+    assert.equal(getAudioEffectsLabel(['slowed', 'pitch=+2', 'speed=1.5']), 'Slowed + Pitch +2 + Speed 1.5x');
+  });
+});
+
+describe('buildAudioFilterGraph', () => {
+  it('fica vazio sem efeitos nem normalizacao', () => {
+    assert.equal(buildAudioFilterGraph([]), '');
+  });
+
+  it('compensa a velocidade do pitch e normaliza por ultimo no alvo pedido', () => {
+    const filters = buildAudioFilterGraph(['pitch=+12'], { normalize: true, loudnessTarget: -16 }).split(',');
+
+    assert.ok(filters.includes('atempo=0.500000'));
+    assert.equal(filters[filters.length - 1], 'loudnorm=I=-16:TP=-1.5:LRA=11');
+  });
+
+  it('mantem o L-R do karaoke em fase nos dois canais para sobreviver a mixagem mono', () => {
+    const graph = buildAudioFilterGraph(['karaoke']);
+    const side = graph.split(';').find((filter) => filter.endsWith('[kside]'));
+    const [, left, right] = side.match(/c0=([^|]+)\|c1=([^[]+)\[kside\]$/);
+
+    assert.equal(left, 'c0-c1');
+    assert.equal(right, left);
+  });
+
+  it('liga cada rotulo do karaoke uma vez na saida e outra na entrada, mesmo entre outros efeitos', () => {
+    const graph = buildAudioFilterGraph(parseAudioEffects('slowed,instrumental,reverb').effects, { normalize: true });
+    const counts = new Map();
+
+    for (const chain of graph.split(';')) {
+      const [, inputs = ''] = chain.match(/^((?:\[\w+\])*)/);
+      const outputs = chain.slice(inputs.length).match(/\[\w+\]/g) || [];
+      inputs.match(/\[\w+\]/g)?.forEach((label) => counts.set(label, (counts.get(label) || 0) - 1));
+      outputs.forEach((label) => counts.set(label, (counts.get(label) || 0) + 1));
+    }
+
+    assert.ok(counts.size > 0);
+    assert.ok([...counts.values()].every((count) => count === 0));
+    assert.match(graph, /^aresample=.*asplit=2\[ksrc\]\[kctr\];/);
+    assert.match(graph, /amix=inputs=3:normalize=0,aecho=.*loudnorm=[^;]*$/);
+  });
+
+  it('nao gera espacos, que o yt-dlp separaria como argumentos', () => {
+    assert.doesNotMatch(buildAudioFilterGraph(['karaoke', 'reverb'], { normalize: true }), /\s/);
+  });
+});
+
+describe('buildAudioArgs', () => {
+  function build(audioFormat, options = {}) {
+    return buildAudioArgs({
+      outputTemplate: 'out.%(ext)s',
+      mediaUrl: 'https://youtu.be/x',
+      ytDlpAuthArgs: [],
+      audioBitrateKbps: 128,
+      audioSampleRate: 44100,
+      embedMetadata: true,
+      audioFormat,
+      ...options
+    });
+  }
+
+  function getPostprocessorArgs(args) {
+    return args[args.indexOf('--postprocessor-args') + 1];
+  }
+
+  it('reconhece o formato sem diferenciar caixa', () => {
+    assert.equal(getAudioFormat('OPUS').extension, 'opus');
+    assert.equal(getAudioFormat('wav'), null);
+    assert.equal(getAudioFormat(undefined), null);
+  });
+
+  it('passa o formato pedido ao yt-dlp e cai para mp3 no desconhecido', () => {
+    const getFormatArg = (args) => args[args.indexOf('--audio-format') + 1];
+
+    assert.equal(getFormatArg(build('ogg')), 'vorbis');
+    assert.equal(getFormatArg(build('wav')), 'mp3');
+  });
+
+  it('nao fixa bitrate em formato sem perdas e usa 48 kHz no opus', () => {
+    assert.doesNotMatch(getPostprocessorArgs(build('flac')), /-b:a/);
+    assert.match(getPostprocessorArgs(build('mp3')), /-b:a 128k/);
+    assert.match(getPostprocessorArgs(build('opus')), /-ar 48000/);
+    assert.match(getPostprocessorArgs(build('m4a')), /-ar 44100/);
+  });
+
+  it('so embute a capa nos formatos que aceitam', () => {
+    assert.ok(build('mp3').includes('--embed-thumbnail'));
+    assert.ok(build('m4a').includes('--embed-thumbnail'));
+    assert.equal(build('opus').includes('--embed-thumbnail'), false);
+    assert.equal(build('flac').includes('--embed-thumbnail'), false);
+  });
+});
+
+// ffmpeg/ffprobe falsos: o tamanho de cada parte sai da duracao pedida em -t (ou fixo, se configurado).
+const FAKE_FFPROBE = `#!/usr/bin/env node
+console.log(JSON.stringify({ format: { duration: process.env.FAKE_DURATION }, streams: [] }));
+`;
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const args = process.argv.slice(2);
+const seconds = Number(args[args.indexOf('-t') + 1]);
+const size = Number(process.env.FAKE_PART_SIZE) || Math.round(seconds * Number(process.env.FAKE_BYTES_PER_SECOND));
+require('fs').writeFileSync(args[args.length - 1], Buffer.alloc(size));
+`;
+
+describe('splitMediaFile', () => {
+  let workPath;
+  let inputPath;
+  let previousEnv;
+
+  beforeEach(async () => {
+    workPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'split-test-'));
+    await fs.promises.writeFile(path.join(workPath, 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+    await fs.promises.writeFile(path.join(workPath, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+
+    inputPath = path.join(workPath, 'media', 'song.mp3');
+    await fs.promises.mkdir(path.dirname(inputPath));
+    await fs.promises.writeFile(inputPath, Buffer.alloc(1000));
+
+    const fakeEnv = {
+      FFMPEG_LOCATION: workPath,
+      FAKE_DURATION: '100',
+      FAKE_BYTES_PER_SECOND: '10',
+      FAKE_PART_SIZE: ''
+    };
+    previousEnv = Object.fromEntries(Object.keys(fakeEnv).map((name) => [name, process.env[name]]));
+    Object.assign(process.env, fakeEnv);
+  });
+
+  afterEach(async () => {
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+
+    await fs.promises.rm(workPath, { recursive: true, force: true });
+  });
+
+  function listMedia() {
+    return fs.promises.readdir(path.dirname(inputPath)).then((files) => files.sort());
+  }
+
+  it('divide em partes seguidas que cobrem o arquivo inteiro', async () => {
+    const parts = await splitMediaFile(inputPath, { maxPartSize: 400 });
+
+    assert.deepEqual(parts.map((part) => [part.index, part.total]), [[1, 3], [2, 3], [3, 3]]);
+    assert.equal(parts[0].startSeconds, 0);
+    assert.equal(parts[1].startSeconds, parts[0].endSeconds);
+    assert.equal(parts[2].endSeconds, 100);
+    assert.ok(parts.every((part) => part.fileSize <= 400));
+    assert.deepEqual(await listMedia(), ['song-part1.mp3', 'song-part2.mp3', 'song-part3.mp3', 'song.mp3']);
+  });
+
+  it('refaz com mais partes quando alguma passa do limite', async () => {
+    process.env.FAKE_BYTES_PER_SECOND = '15';
+
+    const parts = await splitMediaFile(inputPath, { maxPartSize: 400 });
+
+    assert.equal(parts.length, 5);
+    assert.ok(parts.every((part) => part.fileSize <= 400));
+    assert.equal((await listMedia()).length, 6);
+  });
+
+  it('desiste depois das tentativas e apaga as partes', async () => {
+    process.env.FAKE_PART_SIZE = '500';
+
+    await assert.rejects(splitMediaFile(inputPath, { maxPartSize: 400 }), { code: 'SPLIT_FAILED' });
+    assert.deepEqual(await listMedia(), ['song.mp3']);
+  });
+});
+
+describe('buildTargetSizeProfile', () => {
+  const MB = 1024 * 1024;
+
+  it('respeita a resolucao maxima e o teto de bitrate do degrau', () => {
+    assert.deepEqual(buildTargetSizeProfile(60, 16 * MB), { maxHeight: 480, videoBitrateKbps: 1400, audioBitrateKbps: 64 });
+    assert.deepEqual(
+      buildTargetSizeProfile(60, 100 * MB, { videoMaxHeight: 1080 }),
+      { maxHeight: 1080, videoBitrateKbps: 4500, audioBitrateKbps: 64 }
+    );
+  });
+
+  it('desce de resolucao quando o orcamento nao sustenta a pedida', () => {
+    assert.equal(buildTargetSizeProfile(60, 16 * MB, { videoMaxHeight: 1080 }).maxHeight, 720);
+  });
+
+  it('alivia o audio em orcamento apertado e nao passa do tamanho alvo', () => {
+    const profile = buildTargetSizeProfile(600, 16 * MB);
+    const estimatedBytes = ((profile.videoBitrateKbps + profile.audioBitrateKbps) * 1000 * 600) / 8;
+
+    assert.equal(profile.maxHeight, 240);
+    assert.equal(profile.audioBitrateKbps, 48);
+    assert.ok(estimatedBytes <= 16 * MB);
+  });
+
+  it('recusa duracao que nao cabe no limite', () => {
+    assert.throws(() => buildTargetSizeProfile(3600, 16 * MB), { code: 'FILE_TOO_LARGE' });
+  });
+});
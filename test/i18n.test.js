@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+// Os testes assumem o prefixo padrao, mesmo com outro configurado no .env local.
+process.env.COMMAND_PREFIXES = '/';
+
+const { LANGUAGES, normalizeLanguage, t } = require('../src/i18n');
+
+describe('t', () => {
+  it('usa o catalogo do idioma pedido', () => {
+    assert.equal(t('en', 'queue.empty'), '📋 *Your queue is empty.*');
+    assert.equal(t('es', 'queue.empty'), '📋 *Tu cola está vacía.*');
+  });
+
+  it('cai no pt-BR para chave ausente no idioma ou idioma desconhecido', () => {
+    assert.equal(t('en', 'commands.format.usage', { formats: 'mp3|opus' }), '<mp3|opus>');
+    assert.equal(t('fr', 'queue.empty'), '📋 *Sua fila está vazia.*');
+  });
+
+  it('devolve a propria chave quando nenhum catalogo a conhece', () => {
+    assert.equal(t('en', 'missing.key'), 'missing.key');
+  });
+
+  it('preenche {prefix} e mantem marcadores sem valor', () => {
+    assert.equal(t('pt-BR', 'selection.howTo.cancel'), '`/cancel` para cancelar.');
+    assert.equal(t('en', 'selection.page', { page: 2 }), '*Page* 2/{total} - `next` / `prev` (or `+` / `-`) to navigate.');
+  });
+
+  it('nao tem chaves em en ou es que faltem no pt-BR', () => {
+    const fallbackKeys = new Set(Object.keys(require('../src/locales/pt-BR').messages));
+
+    for (const language of LANGUAGES) {
+      const keys = Object.keys(require(`../src/locales/${language}`).messages);
+      assert.deepEqual(keys.filter((key) => !fallbackKeys.has(key)), [], language);
+    }
+  });
+});
+
+describe('normalizeLanguage', () => {
+  it('aceita codigo, nome e variante regional', () => {
+    assert.equal(normalizeLanguage('EN'), 'en');
+    assert.equal(normalizeLanguage('pt_BR'), 'pt-BR');
+    assert.equal(normalizeLanguage('pt-PT'), 'pt-BR');
+    assert.equal(normalizeLanguage('Español'), 'es');
+    assert.equal(normalizeLanguage('english'), 'en');
+  });
+
+  it('recusa idioma sem catalogo', () => {
+    assert.equal(normalizeLanguage('fr'), null);
+    assert.equal(normalizeLanguage(''), null);
+  });
+});
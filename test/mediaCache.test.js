@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { buildCacheKey, MediaCache } = require('../src/mediaCache');
+
+describe('MediaCache', () => {
+  let cachePath;
+  let workPath;
+  let clock;
+
+  beforeEach(async () => {
+    cachePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+    workPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cache-work-'));
+    clock = 1000;
+    mock.method(Date, 'now', () => clock);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.promises.rm(cachePath, { recursive: true, force: true, maxRetries: 3 });
+    await fs.promises.rm(workPath, { recursive: true, force: true, maxRetries: 3 });
+  });
+
+  async function createSource(name, size) {
+    const filePath = path.join(workPath, name);
+    await fs.promises.writeFile(filePath, Buffer.alloc(size));
+    return filePath;
+  }
+
+  async function storeReleased(cache, key, size) {
+    clock += 1;
+    await cache.store(key, await createSource(`${key}.mp3`, size), { title: key });
+    cache.release(key);
+    await cache.evict();
+  }
+
+  it('gera a mesma chave so para o mesmo video, tipo e perfil', () => {
+    const key = buildCacheKey({ videoId: 'abc', mediaType: 'audio', profile: { format: 'mp3' } });
+
+    assert.equal(key, buildCacheKey({ videoId: 'abc', mediaType: 'audio', profile: { format: 'mp3' } }));
+    assert.notEqual(key, buildCacheKey({ videoId: 'abc', mediaType: 'audio', profile: { format: 'opus' } }));
+    assert.notEqual(key, buildCacheKey({ videoId: 'abc', mediaType: 'video', profile: { format: 'mp3' } }));
+  });
+
+  it('remove a entrada usada ha mais tempo ao passar do limite', async () => {
+    const cache = new MediaCache(cachePath, 250);
+    await cache.init();
+
+    await storeReleased(cache, 'a', 100);
+    await storeReleased(cache, 'b', 100);
+
+    clock += 1;
+    assert.ok(await cache.get('a'));
+    cache.release('a');
+
+    await storeReleased(cache, 'c', 100);
+
+    assert.deepEqual([...cache.entries.keys()].sort(), ['a', 'c']);
+    assert.equal(fs.existsSync(path.join(cachePath, 'b.mp3')), false);
+    assert.equal(fs.existsSync(path.join(cachePath, 'b.json')), false);
+  });
+
+  it('nao remove arquivo em uso ate ser liberado', async () => {
+    const cache = new MediaCache(cachePath, 150);
+    await cache.init();
+
+    await cache.store('a', await createSource('a.mp3', 100));
+    await storeReleased(cache, 'b', 100);
+
+    assert.deepEqual([...cache.entries.keys()], ['a']);
+
+    cache.release('a');
+    clock += 1;
+    await storeReleased(cache, 'c', 100);
+
+    assert.deepEqual([...cache.entries.keys()], ['c']);
+  });
+
+  it('recusa arquivo maior que o limite inteiro do cache', async () => {
+    const cache = new MediaCache(cachePath, 50);
+    await cache.init();
+
+    const sourcePath = await createSource('big.mp3', 100);
+
+    assert.equal(await cache.store('big', sourcePath), null);
+    assert.equal(fs.existsSync(sourcePath), true);
+    assert.equal(cache.entries.size, 0);
+  });
+
+  it('recarrega entradas validas e apaga sobras no init', async () => {
+    const cache = new MediaCache(cachePath, 1000);
+    await cache.init();
+    await storeReleased(cache, 'a', 100);
+
+    await fs.promises.writeFile(path.join(cachePath, 'orphan.mp3'), 'x');
+    await fs.promises.writeFile(path.join(cachePath, 'b.mp3.partial'), 'x');
+
+    const reloaded = new MediaCache(cachePath, 1000);
+    await reloaded.init();
+
+    assert.deepEqual([...reloaded.entries.keys()], ['a']);
+    assert.deepEqual((await fs.promises.readdir(cachePath)).sort(), ['a.json', 'a.mp3']);
+
+    const hit = await reloaded.get('a');
+    assert.equal(hit.fileSize, 100);
+    assert.deepEqual(hit.details, { title: 'a' });
+  });
+});
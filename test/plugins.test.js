@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, mock } = require('node:test');
+
+// Os testes assumem o prefixo padrao, mesmo com outro configurado no .env local.
+process.env.COMMAND_PREFIXES = '/';
+
+const { getCommand, parseCommand } = require('../src/commands');
+const { PluginManager } = require('../src/plugins');
+
+describe('PluginManager', () => {
+  it('descarta tudo que o plugin registrou quando register() falha no meio', () => {
+    const manager = new PluginManager();
+
+    assert.throws(() => manager.register('broken', {
+      register(bot) {
+        bot.registerCommand({ name: 'halfway', handler: () => {} });
+        bot.registerErrorMessages({ HALFWAY: 'nunca' });
+        bot.on('afterSend', () => {});
+        throw new Error('falhou');
+      }
+    }), /falhou/);
+
+    assert.equal(getCommand('halfway'), null);
+    assert.equal(manager.getErrorMessage({ code: 'HALFWAY' }, 'pt-BR'), null);
+    assert.equal(manager.hooks.afterSend.length, 0);
+  });
+
+  it('recusa comando repetido dentro do mesmo plugin sem registrar o primeiro', () => {
+    const manager = new PluginManager();
+
+    assert.throws(() => manager.register('twice', {
+      register(bot) {
+        bot.registerCommand({ name: 'twice', handler: () => {} });
+        bot.registerCommand({ name: 'again', aliases: ['twice'], handler: () => {} });
+      }
+    }), /ja existe/);
+
+    assert.equal(getCommand('twice'), null);
+  });
+
+  it('recusa hook desconhecido e comando sem handler', () => {
+    const manager = new PluginManager();
+
+    assert.throws(() => manager.register('hook', { register: (bot) => bot.on('beforeSend', () => {}) }), /Hook desconhecido/);
+    assert.throws(() => manager.register('nohandler', { register: (bot) => bot.registerCommand({ name: 'x' }) }), /sem handler/);
+  });
+
+  it('ativa comandos, mensagens de erro e handlers de um plugin valido', async () => {
+    const manager = new PluginManager();
+
+    manager.register('echo', {
+      register(bot) {
+        bot.registerCommand({ name: 'echo', aliases: ['eco'], handler: () => {} });
+        bot.registerErrorMessages({ ECHO_FAILED: (error, language) => `${language}: ${error.message}` });
+        bot.registerSelectionHandler(async (context, selection) => selection === 'eco');
+      }
+    });
+
+    assert.equal(parseCommand('/eco oi').type, 'echo');
+    assert.equal(manager.getErrorMessage({ code: 'ECHO_FAILED', message: 'x' }, 'en'), 'en: x');
+    assert.equal(await manager.handleSelection({}, 'eco'), true);
+    assert.equal(await manager.handleSelection({}, 'outro'), false);
+  });
+
+  it('so deixa erro de beforeDownload cancelar o pedido', async () => {
+    const manager = new PluginManager();
+    const failure = () => {
+      throw new Error('bloqueado');
+    };
+
+    manager.register('guard', {
+      register(bot) {
+        bot.on('beforeDownload', failure);
+        bot.on('afterSend', failure);
+      }
+    });
+
+    await assert.rejects(manager.runHook('beforeDownload', {}), /bloqueado/);
+
+    const logError = mock.method(console, 'error', () => {});
+    try {
+      await manager.runHook('afterSend', {});
+      assert.equal(logError.mock.callCount(), 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('carrega so os plugins encontrados e validos', async () => {
+    const pluginsPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'plugins-test-'));
+    await fs.promises.writeFile(path.join(pluginsPath, 'good.js'), 'module.exports = { register() {} };');
+    await fs.promises.mkdir(path.join(pluginsPath, 'nested'));
+    await fs.promises.writeFile(path.join(pluginsPath, 'nested', 'index.js'), 'module.exports = { register() {} };');
+    await fs.promises.writeFile(path.join(pluginsPath, 'bad.js'), 'module.exports = {};');
+
+    const logWarn = mock.method(console, 'warn', () => {});
+    const logError = mock.method(console, 'error', () => {});
+
+    try {
+      const loaded = new PluginManager().load(pluginsPath, ['good', 'missing', 'bad', 'nested']);
+      assert.deepEqual(loaded, ['good', 'nested']);
+      assert.equal(logWarn.mock.callCount(), 1);
+      assert.equal(logError.mock.callCount(), 1);
+    } finally {
+      mock.restoreAll();
+      await fs.promises.rm(pluginsPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { DownloadQueue } = require('../src/queue');
+
+// Tarefa que so termina quando o teste mandar, para controlar quem esta rodando.
+function createDeferredTask(started) {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  return {
+    finish,
+    task: ({ signal }) => {
+      started.push(signal);
+      return done;
+    }
+  };
+}
+
+function waitForDispatch() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('DownloadQueue', () => {
+  it('alterna entre chats em vez de atender um chat inteiro primeiro', async () => {
+    const queue = new DownloadQueue({ maxWorkers: 1 });
+    const started = [];
+    const tasks = ['a1', 'a2', 'a3', 'b1'].map((id) => ({ id, ...createDeferredTask(started) }));
+
+    tasks.forEach(({ id, task }) => queue.add(task, { id, chatId: id[0] }));
+
+    assert.deepEqual(
+      queue.list().map(({ id, running, position }) => [id, running, position]),
+      [['a1', true, 0], ['a2', false, 1], ['b1', false, 2], ['a3', false, 3]]
+    );
+
+    tasks[0].finish();
+    await waitForDispatch();
+    assert.deepEqual(queue.list().filter((entry) => entry.running).map((entry) => entry.id), ['a2']);
+
+    tasks[1].finish();
+    await waitForDispatch();
+    assert.deepEqual(queue.list().filter((entry) => entry.running).map((entry) => entry.id), ['b1']);
+  });
+
+  it('respeita o limite por tipo sem travar os outros tipos', () => {
+    const queue = new DownloadQueue({ maxWorkers: 3, typeLimits: { video: 1 } });
+    const started = [];
+
+    const first = queue.add(createDeferredTask(started).task, { id: 'v1', chatId: 'a', type: 'video' });
+    const second = queue.add(createDeferredTask(started).task, { id: 'v2', chatId: 'b', type: 'video' });
+    const audio = queue.add(createDeferredTask(started).task, { id: 'x1', chatId: 'c', type: 'audio' });
+
+    assert.equal(first.started, true);
+    assert.equal(second.started, false);
+    assert.equal(second.position, 1);
+    assert.equal(audio.started, true);
+  });
+
+  it('posiciona os itens pela ordem real de inicio quando o tipo esta no limite', () => {
+    const queue = new DownloadQueue({ maxWorkers: 2, typeLimits: { video: 1 } });
+    const started = [];
+
+    queue.add(createDeferredTask(started).task, { id: 'x1', chatId: 'a', type: 'audio' });
+    queue.add(createDeferredTask(started).task, { id: 'v1', chatId: 'b', type: 'video' });
+    queue.add(createDeferredTask(started).task, { id: 'v2', chatId: 'c', type: 'video' });
+    const audio = queue.add(createDeferredTask(started).task, { id: 'x2', chatId: 'd', type: 'audio' });
+    queue.add(createDeferredTask(started).task, { id: 'x3', chatId: 'e', type: 'audio' });
+
+    // A primeira vaga (x1) nao serve para video enquanto v1 roda, entao x2 passa na frente de v2.
+    assert.deepEqual(
+      queue.list().filter((entry) => !entry.running).map(({ id, position }) => [id, position]),
+      [['x2', 1], ['v2', 2], ['x3', 3]]
+    );
+    assert.equal(audio.position, 1);
+  });
+
+  it('remove um item aguardando e rejeita a promise com JOB_REMOVED', async () => {
+    const queue = new DownloadQueue({ maxWorkers: 1 });
+    const started = [];
+
+    queue.add(createDeferredTask(started).task, { id: 'a1', chatId: 'a' });
+    const waiting = queue.add(createDeferredTask(started).task, { id: 'a2', chatId: 'a' });
+
+    assert.equal(queue.remove('a1'), false);
+    assert.equal(queue.remove('a2'), true);
+    await assert.rejects(waiting.promise, { code: 'JOB_REMOVED' });
+    assert.equal(queue.size(), 1);
+  });
+
+  it('aborta so o item em andamento pedido', async () => {
+    const queue = new DownloadQueue({ maxWorkers: 2 });
+    const started = [];
+
+    queue.add(createDeferredTask(started).task, { id: 'a1', chatId: 'a' });
+    queue.add(createDeferredTask(started).task, { id: 'b1', chatId: 'b' });
+
+    assert.equal(queue.abort('b1'), true);
+    assert.equal(queue.abort('missing'), false);
+    await waitForDispatch();
+    assert.deepEqual(started.map((signal) => signal.aborted), [false, true]);
+  });
+});
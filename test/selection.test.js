@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const {
+  MEDIA_AUDIO,
+  MEDIA_VIDEO,
+  MEDIA_VOICE,
+  parsePageNavigation,
+  parsePreviewRequest,
+  parseSelectionChoice
+} = require('../src/selection');
+
+// 8 opcoes, pagina atual com as 5 primeiras.
+const BOUNDS = { optionCount: 8, pageStart: 0, pageEnd: 5 };
+
+function parse(text, defaultMediaType = MEDIA_AUDIO) {
+  return parseSelectionChoice(text, defaultMediaType, BOUNDS)?.entries || null;
+}
+
+describe('parseSelectionChoice', () => {
+  it('usa o tipo padrao quando so vem o numero', () => {
+    assert.deepEqual(parse('2', MEDIA_VIDEO), [{ index: 2, mediaType: MEDIA_VIDEO }]);
+  });
+
+  it('aceita o tipo antes ou depois do numero', () => {
+    assert.deepEqual(parse('a1'), [{ index: 1, mediaType: MEDIA_AUDIO }]);
+    assert.deepEqual(parse('v1'), [{ index: 1, mediaType: MEDIA_VIDEO }]);
+    assert.deepEqual(parse('3p'), [{ index: 3, mediaType: MEDIA_VOICE }]);
+    assert.equal(parse('a1v'), null);
+  });
+
+  it('trata k como audio com karaoke', () => {
+    assert.deepEqual(parse('k2', MEDIA_VIDEO), [{ index: 2, mediaType: MEDIA_AUDIO, karaoke: true }]);
+  });
+
+  it('le a resolucao pedida com @ e implica video', () => {
+    assert.deepEqual(parse('v1@720'), [{ index: 1, mediaType: MEDIA_VIDEO, height: 720 }]);
+    assert.deepEqual(parse('1@480p'), [{ index: 1, mediaType: MEDIA_VIDEO, height: 480 }]);
+    assert.equal(parse('v1@999'), null);
+    assert.equal(parse('a1@720'), null);
+  });
+
+  it('expande intervalos e listas sem repetir itens', () => {
+    assert.deepEqual(parse('a2-4').map((entry) => entry.index), [2, 3, 4]);
+    assert.deepEqual(parse('v2,a3'), [
+      { index: 2, mediaType: MEDIA_VIDEO },
+      { index: 3, mediaType: MEDIA_AUDIO }
+    ]);
+    assert.deepEqual(parse('1,1,a1'), [{ index: 1, mediaType: MEDIA_AUDIO }]);
+    assert.equal(parse('4-2'), null);
+  });
+
+  it('limita intervalos ao total de opcoes', () => {
+    assert.deepEqual(parse('1-99999').map((entry) => entry.index), [1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('usa so a pagina exibida em all', () => {
+    assert.deepEqual(parse('v all').map((entry) => [entry.index, entry.mediaType]), [
+      [1, MEDIA_VIDEO],
+      [2, MEDIA_VIDEO],
+      [3, MEDIA_VIDEO],
+      [4, MEDIA_VIDEO],
+      [5, MEDIA_VIDEO]
+    ]);
+  });
+
+  it('recusa texto que nao e selecao', () => {
+    assert.equal(parse(''), null);
+    assert.equal(parse('x1'), null);
+    assert.equal(parse('pv3'), null);
+    assert.equal(parse('1, banana'), null);
+  });
+});
+
+describe('parsePreviewRequest', () => {
+  it('aceita pv3 e preview 3', () => {
+    assert.equal(parsePreviewRequest('pv3'), 3);
+    assert.equal(parsePreviewRequest(' Preview 12 '), 12);
+    assert.equal(parsePreviewRequest('p3'), null);
+  });
+});
+
+describe('parsePageNavigation', () => {
+  it('reconhece as palavras de navegacao', () => {
+    assert.equal(parsePageNavigation('next'), 1);
+    assert.equal(parsePageNavigation('+'), 1);
+    assert.equal(parsePageNavigation('anterior'), -1);
+    assert.equal(parsePageNavigation('3'), 0);
+  });
+});
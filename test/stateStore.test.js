@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { JOB_STATUS_DOWNLOADING, StateStore } = require('../src/stateStore');
+
+describe('StateStore', () => {
+  let statePath;
+
+  beforeEach(async () => {
+    statePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'state-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(statePath, { recursive: true, force: true });
+  });
+
+  async function reload(store) {
+    await store.flush();
+    const reloaded = new StateStore(statePath);
+    await reloaded.load();
+    return reloaded;
+  }
+
+  it('mantem jobs pendentes para retomar depois do reinicio', async () => {
+    const store = new StateStore(statePath);
+    await store.load();
+
+    const job = store.addJob({ chatId: 'chat', requesterId: 'user', video: { title: 'Numb' }, mediaType: 'audio' });
+    const finished = store.addJob({ chatId: 'chat', requesterId: 'user', video: { title: 'Faint' }, mediaType: 'audio' });
+    store.updateJob(job.id, { status: JOB_STATUS_DOWNLOADING });
+    store.removeJob(finished.id);
+
+    const jobs = (await reload(store)).getUnfinishedJobs();
+    assert.equal(jobs.length, 1);
+    assert.equal(jobs[0].id, job.id);
+    assert.equal(jobs[0].status, JOB_STATUS_DOWNLOADING);
+  });
+
+  it('junta alteracoes seguidas em uma gravacao', async () => {
+    const store = new StateStore(statePath);
+    await store.load();
+
+    store.updateChatSettings('chat', { quietMode: true });
+    store.updateChatSettings('chat', { language: 'en' });
+    assert.equal(fs.existsSync(path.join(statePath, 'state.json')), false);
+
+    const reloaded = await reload(store);
+    assert.deepEqual(reloaded.getChatSettings('chat'), { quietMode: true, language: 'en' });
+  });
+
+  it('grava entrada e saida de jobs sem esperar o debounce', async () => {
+    const store = new StateStore(statePath);
+    await store.load();
+
+    const job = store.addJob({ chatId: 'chat', requesterId: 'user', video: { title: 'Numb' }, mediaType: 'audio' });
+    await store.pendingWrite;
+    const saved = JSON.parse(await fs.promises.readFile(path.join(statePath, 'state.json'), 'utf8'));
+    assert.deepEqual(saved.jobs.map((item) => item.id), [job.id]);
+
+    store.updateChatSettings('chat', { quietMode: true });
+    await store.flushPending();
+    const reloaded = new StateStore(statePath);
+    await reloaded.load();
+    assert.deepEqual(reloaded.getChatSettings('chat'), { quietMode: true });
+  });
+
+  it('comeca vazio com arquivo de estado invalido', async () => {
+    await fs.promises.writeFile(path.join(statePath, 'state.json'), '{', 'utf8');
+    const store = new StateStore(statePath);
+    const { warn } = console;
+    console.warn = () => {};
+
+    try {
+      await store.load();
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.deepEqual(store.getUnfinishedJobs(), []);
+  });
+});
@@ -0,0 +1,22 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { buildDisplayFileName, cleanArtistName } = require('../src/utils');
+
+describe('cleanArtistName', () => {
+  it('tira os sufixos de canais automaticos e de gravadora', () => {
+    assert.equal(cleanArtistName('Adele - Topic'), 'Adele');
+    assert.equal(cleanArtistName('LinkinParkVEVO'), 'Linkin Park');
+    assert.equal(cleanArtistName('Coldplay'), 'Coldplay');
+  });
+});
+
+describe('buildDisplayFileName', () => {
+  it('monta "Artista - Titulo" sem repetir o artista que ja esta no titulo', () => {
+    assert.equal(buildDisplayFileName('Adele', 'Hello', 'mp3'), 'Adele - Hello.mp3');
+    assert.equal(buildDisplayFileName('Adele', 'Adele - Hello (Official)', 'mp3'), 'Adele - Hello (Official).mp3');
+  });
+
+  it('remove caracteres invalidos em nome de arquivo', () => {
+    assert.equal(buildDisplayFileName('AC/DC', 'Back: In Black?', 'mp3'), 'AC DC - Back In Black.mp3');
+  });
+});